@@ -0,0 +1,206 @@
+/**
+ * Map of offsets in generated code to offsets in original source files.
+ * It is built from segments, which are describing where part of generated code comes from:
+ * linear segment maps each character to the corresponding character of source,
+ * while not linear one maps all of its characters to a single place (i.e. for replaced code).
+ *
+ * @property {Array<{ generated: number, source: string|null, original: number, linear: boolean }>} segments
+ *
+ * @class
+ */
+class OffsetMap {
+  /**
+   * @param {Array<{ generated: number, source: string|null, original: number, linear: boolean }>} [segments]
+   *
+   * @constructor
+   */
+  constructor (segments) {
+    this.segments = segments || []
+  }
+
+  /**
+   * Create map, where generated code is exactly the same as source.
+   *
+   * @param {string} source
+   * @returns {OffsetMap}
+   */
+  static identity (source) {
+    return new OffsetMap([ { generated: 0, source: source, original: 0, linear: true } ])
+  }
+
+  /**
+   * Create map, where whole generated code comes from single place of source.
+   *
+   * @param {string} source
+   * @param {number} [offset]
+   * @returns {OffsetMap}
+   */
+  static point (source, offset = 0) {
+    return new OffsetMap([ { generated: 0, source: source, original: offset, linear: false } ])
+  }
+
+  /**
+   * Create copy of this map.
+   *
+   * @returns {OffsetMap}
+   */
+  clone () {
+    return new OffsetMap(this.segments.slice())
+  }
+
+  /**
+   * Find index of segment which contains specified offset.
+   *
+   * @param {number} offset
+   * @returns {number}  -1 when there is no such segment
+   * @private
+   */
+  _findSegmentIndex (offset) {
+    let min = 0
+    let max = this.segments.length - 1
+    let result = -1
+
+    while (min <= max) {
+      const middle = (min + max) >> 1
+
+      if (this.segments[middle].generated <= offset) {
+        result = middle
+        min = middle + 1
+      } else {
+        max = middle - 1
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Find place in source which corresponds to offset in generated code.
+   *
+   * @param {number} offset
+   * @returns {{ source: string|null, original: number }|null}
+   */
+  find (offset) {
+    const segment = this.segments[this._findSegmentIndex(offset)]
+
+    if (!segment) {
+      return null
+    }
+
+    return {
+      source: segment.source,
+      original: segment.linear ? segment.original + offset - segment.generated : segment.original
+    }
+  }
+
+  /**
+   * Update map after generated code has been rebuilt from pieces.
+   * Each piece is either:
+   * - `{ start, end }` - part of current code which is left as it is,
+   * - `{ at, length }` - new code, which comes from place at specified offset of current code,
+   * - `{ map, length }` - new code, which has its own map.
+   *
+   * @param {Array<{ start: number, end: number }|{ at: number, length: number }|{ map: OffsetMap, length: number }>} pieces
+   * @returns {OffsetMap}
+   */
+  update (pieces) {
+    const segments = []
+    let generated = 0
+
+    function push (segment) {
+      const last = segments[segments.length - 1]
+
+      // Replace segment, which would be empty anyway
+      if (last && last.generated === segment.generated) {
+        segments.pop()
+      }
+
+      segments.push(segment)
+    }
+
+    for (const piece of pieces) {
+      if (piece.map) {
+        for (const segment of piece.map.segments) {
+          if (segment.generated >= piece.length) {
+            break
+          }
+
+          push(Object.assign({}, segment, { generated: generated + segment.generated }))
+        }
+
+        generated += piece.length
+      } else if (piece.at != null) {
+        const place = this.find(piece.at)
+
+        if (piece.length > 0 && place) {
+          push({ generated: generated, source: place.source, original: place.original, linear: false })
+        }
+
+        generated += piece.length
+      } else if (piece.end > piece.start) {
+        const startIndex = Math.max(this._findSegmentIndex(piece.start), 0)
+
+        for (let i = startIndex; i < this.segments.length && this.segments[i].generated < piece.end; i++) {
+          const segment = this.segments[i]
+          const shift = Math.max(piece.start - segment.generated, 0)
+
+          push({
+            generated: generated + Math.max(segment.generated - piece.start, 0),
+            source: segment.source,
+            original: segment.linear ? segment.original + shift : segment.original,
+            linear: segment.linear
+          })
+        }
+
+        generated += piece.end - piece.start
+      }
+    }
+
+    this.segments = segments
+
+    return this
+  }
+
+  /**
+   * Update map after parts of generated code has been replaced.
+   * Replacement may have its own map, otherwise it points to the beginning of replaced part.
+   *
+   * @param {Array<{ start: number, end: number, length: number, map: OffsetMap }>} replacements  sorted list of replaced parts
+   * @returns {OffsetMap}
+   */
+  replace (replacements) {
+    const pieces = []
+    let lastIndex = 0
+
+    for (const replacement of replacements) {
+      pieces.push({ start: lastIndex, end: replacement.start })
+      pieces.push(replacement.map
+        ? { map: replacement.map, length: replacement.length }
+        : { at: replacement.start, length: replacement.length })
+      lastIndex = replacement.end
+    }
+
+    pieces.push({ start: lastIndex, end: Infinity })
+
+    return this.update(pieces)
+  }
+
+  /**
+   * Update map after part of generated code has been replaced with code described by other map.
+   *
+   * @param {number} start
+   * @param {number} end
+   * @param {OffsetMap} map
+   * @param {number} length
+   * @returns {OffsetMap}
+   */
+  splice (start, end, map, length) {
+    return this.update([
+      { start: 0, end: start },
+      { map: map, length: length },
+      { start: end, end: Infinity }
+    ])
+  }
+}
+
+module.exports = OffsetMap
@@ -3,48 +3,127 @@ const path = require('path')
 const fs = require('fs')
 const findNodeModules = require('find-node-modules')
 const defaults = require('lodash/defaults')
+const mapValues = require('lodash/mapValues')
 const which = require('which')
 
 const SassMergeBuilder = require('./SassMergeBuilder')
 const SassMergeWatcher = require('./SassMergeWatcher')
+const SassMergeCache = require('./SassMergeCache')
+const createConverter = require('./createConverter')
+const createCompiler = require('./createCompiler')
+const resolvePackageExports = require('./resolvePackageExports')
+const findGlobFiles = require('./findGlobFiles')
+const findImportChains = require('./findImportChains')
+const findAffectedEntries = require('./findAffectedEntries')
+const removeComments = require('./removeComments')
 
 const defaultOptions = {
+  converter: 'javascript',
   binary: which.sync('sass-convert', { nothrow: true }),
   target: 'scss',
-  extensions: [ '', '.scss', '.sass', '.css', '/index.scss', '/index.sass', '/index.css' ],
+  compiler: 'sass',
+  extensions: [ '.scss', '.sass', '.css' ],
+  includePaths: [],
+  mainFields: [ 'sass', 'style' ],
+  importers: [],
   globalDirectories: null,
   globalPrefixes: [ '', '~' ],
   maxBuffer: 500 * 1024,
+  concurrency: 16,
   cacheFilePaths: true,
+  cacheDirectory: null,
   usePolling: false,
   removeUnnecessaryWhitespaces: true,
+  outputStyle: null,
+  indentation: null,
+  banners: false,
   removeComments: true,
-  optimizeRedundantVariables: false,
+  preserveComments: true,
+  collectPreservedComments: false,
+  sourceMap: false,
+  importOnce: false,
+  importOnceExclude: [],
+  optimizeRedundantVariables: true,
   optimizeRedundantFunctionsAndMixins: false,
+  treeShaking: false,
+  onTreeShaking: null,
+  strict: false,
+  onWarning: message => console.warn(message),
   resolveUrlsStartingWithSlash: false,
   resolveUrl: null,
   publicPath: '',
   encoding: null
 }
 
+/**
+ * Check if there is file (not directory) at specified path.
+ *
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function isFile (filePath) {
+  try {
+    return (await fs.promises.stat(filePath)).isFile()
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Read `package.json` file from package directory.
+ *
+ * @param {string} packageDirectory
+ * @returns {Promise<object|null>}
+ */
+async function readPackageManifest (packageDirectory) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(packageDirectory, 'package.json'), 'utf8'))
+  } catch (error) {
+    return null
+  }
+}
+
 /**
  * Runner for SassMerge.
  *
- * @property {string} inputFilePath
+ * @property {string|null} inputFilePath  input file, when there is single entry point
+ * @property {object|null} entries  map of entry points, name => input file, when there are multiple ones
+ * @property {{ convert: function, bundle: boolean }} converter
+ * @property {{ compile: function }|null} compiler  compiler of CSS, only for `css` target
+ * @property {SassMergeCache|null} diskCache  persistent cache of converted files, when `cacheDirectory` is set
  * @property {EventEmitter} events
  * @property {object} options
  * @property {string[]} options.extensions
+ * @property {string[]} options.includePaths
+ * @property {string[]} options.mainFields
+ * @property {function[]} options.importers
  * @property {string[]} options.globalDirectories
  * @property {string[]} options.globalPrefixes
+ * @property {string|function|object} options.converter
  * @property {string} options.binary
  * @property {string} options.target
+ * @property {string|function|object} options.compiler
  * @property {number} options.maxBuffer
+ * @property {number} options.concurrency
  * @property {boolean} options.usePolling
  * @property {boolean} options.cacheFilePaths
+ * @property {string|null} options.cacheDirectory
  * @property {boolean} options.removeComments
+ * @property {boolean} options.sourceMap
+ * @property {boolean} options.importOnce
+ * @property {string[]} options.importOnceExclude
  * @property {boolean} options.removeUnnecessaryWhitespaces
+ * @property {string} options.outputStyle
+ * @property {string} options.indentation
+ * @property {boolean} options.banners
+ * @property {function(string): boolean|null} options.preserveComments
+ * @property {boolean} options.collectPreservedComments
  * @property {boolean} options.optimizeRedundantVariables
  * @property {boolean} options.optimizeRedundantFunctionsAndMixins
+ * @property {boolean} options.treeShaking
+ * @property {function|null} options.onTreeShaking
+ * @property {boolean} options.strict
+ * @property {function} options.onWarning
  * @property {boolean} options.resolveUrlsStartingWithSlash
  * @property {string} options.encoding
  * @property {function|string|object|null} options.resolveUrl  either - function to resolve, path to JSON file with map of URLs, or map itself
@@ -54,20 +133,39 @@ const defaultOptions = {
  */
 class SassMerge {
   /**
-   * @param {string} inputFilePath
+   * @param {string|object} inputFilePath  either input file path, or map of entry points, i.e. { "brand-a": "brand-a.scss" }
    * @param {object} [options]
-   * @param {string[]} [options.extensions]
+   * @param {string[]} [options.extensions]  extensions of stylesheets, i.e. [ '.scss', '.sass', '.css' ]
+   * @param {string[]} [options.includePaths]  directories where imported files are searched for (after importing file directory)
+   * @param {string[]} [options.mainFields]  fields of `package.json` (and `exports` conditions) with stylesheet entry of package
+   * @param {function[]} [options.importers]  functions `(url, fromFile) => { filePath, contents, syntax } | null` used before looking on disk
    * @param {string[]} [options.globalDirectories]
    * @param {string[]} [options.globalPrefixes]
+   * @param {string|function|object} [options.converter]  either 'javascript' (built-in), 'sass-convert', function or object with `convert` method
    * @param {string} [options.binary]
-   * @param {string} [options.target]
+   * @param {string} [options.target]  either 'scss', 'sass' or 'css'
+   * @param {string|function|object} [options.compiler]  either 'sass' (`sass` package), function or object with `compile` method, used for `css` target
    * @param {number} [options.maxBuffer]
+   * @param {number} [options.concurrency]  how many files may be read and resolved at once
    * @param {boolean} [options.usePolling]
    * @param {boolean} [options.cacheFilePaths]
+   * @param {string} [options.cacheDirectory]  directory where converted files should be persisted between runs
    * @param {boolean} [options.removeComments]
+   * @param {boolean|function(string): boolean} [options.preserveComments]  should keep important comments (i.e. licenses), even when removing comments?
+   * @param {boolean} [options.collectPreservedComments]  should move preserved comments into single header?
+   * @param {boolean} [options.sourceMap]  should build Source Map v3 together with stylesheet?
+   * @param {boolean} [options.importOnce]  should inline each file only at its first @import?
+   * @param {string[]} [options.importOnceExclude]  glob patterns of files which should be inlined at each @import anyway
    * @param {boolean} [options.removeUnnecessaryWhitespaces]
+   * @param {string} [options.outputStyle]  "expanded", "compact" or "compressed", by default it depends on `removeUnnecessaryWhitespaces`
+   * @param {string} [options.indentation]  indentation unit of formatted code
+   * @param {boolean} [options.banners]  should mark where code of each inlined file starts?
    * @param {boolean} [options.optimizeRedundantVariables]
    * @param {boolean} [options.optimizeRedundantFunctionsAndMixins]
+   * @param {boolean} [options.treeShaking]  should remove mixins, functions and placeholders which are never used?
+   * @param {function} [options.onTreeShaking]  function `(removed, inputFilePath) => void` which gets declarations removed by tree shaking
+   * @param {boolean} [options.strict]  should fail, when there are conflicting declarations in separate files or glob imports without matching files?
+   * @param {function} [options.onWarning]  function `(message, details) => void` which gets warnings, by default they are printed to console
    * @param {boolean} [options.resolveUrlsStartingWithSlash]
    * @param {string} [options.encoding]
    * @param {function|string|object} [options.resolveUrl]  either - function to resolve, path to JSON file with map of URLs, or map itself
@@ -76,14 +174,25 @@ class SassMerge {
    * @constructor
    */
   constructor (inputFilePath, options) {
-    // Validate input path
-    if (!inputFilePath || typeof inputFilePath !== 'string') {
+    // Validate input path (or map of entry points)
+    let entries = null
+
+    if (inputFilePath && typeof inputFilePath === 'object' && !Array.isArray(inputFilePath)) {
+      const names = Object.keys(inputFilePath)
+
+      if (!names.length || names.findIndex(name => !name || !inputFilePath[name] || typeof inputFilePath[name] !== 'string') !== -1) {
+        throw new Error('SassMerge: entry points should be a map of names to input file paths!')
+      }
+
+      entries = mapValues(inputFilePath, filePath => path.resolve(filePath))
+      inputFilePath = null
+    } else if (!inputFilePath || typeof inputFilePath !== 'string') {
       throw new Error('SassMerge: input file path is required!')
+    } else {
+      // Resolve input file path
+      inputFilePath = path.resolve(inputFilePath)
     }
 
-    // Resolve input file path
-    inputFilePath = path.resolve(inputFilePath)
-
     // Validate options object
     if (options && typeof options !== 'object') {
       throw new Error('SassMerge: options should be an object!')
@@ -93,31 +202,84 @@ class SassMerge {
     options = defaults(Object.assign({}, options), defaultOptions)
 
     // Validate options
-    if (!options.binary) {
-      throw new Error('SassMerge options: can\'t find `sass-convert` binary!')
-    }
+    const converter = createConverter(options)
 
-    if (options.target !== 'sass' && options.target !== 'scss') {
-      throw new Error('SassMerge options: `target` can be set to either `sass` or `scss`')
+    if (options.target !== 'sass' && options.target !== 'scss' && options.target !== 'css') {
+      throw new Error('SassMerge options: `target` can be set to either `sass`, `scss` or `css`')
     }
 
-    // TODO: it shouldn't be required, but otherwise imports are not detected correctly.
-    if (!options.removeComments) {
-      throw new Error('SassMerge options: Sorry, for now we need to remove comments.')
-    }
+    // Compiler is required only to build CSS
+    const compiler = options.target === 'css' ? createCompiler(options) : null
 
     const extensions = options.extensions
     if (!extensions || !Array.isArray(extensions) || extensions.findIndex(x => typeof x !== 'string') !== -1) {
       throw new Error('SassMerge options: extensions should be an array of strings!')
     }
 
+    const includePaths = options.includePaths
+    if (!Array.isArray(includePaths) || includePaths.findIndex(x => typeof x !== 'string') !== -1) {
+      throw new Error('SassMerge options: includePaths should be an array of strings!')
+    }
+
+    const mainFields = options.mainFields
+    if (!Array.isArray(mainFields) || mainFields.findIndex(x => typeof x !== 'string') !== -1) {
+      throw new Error('SassMerge options: mainFields should be an array of strings!')
+    }
+
+    const concurrency = options.concurrency
+    if (concurrency !== Infinity && (!Number.isInteger(concurrency) || concurrency < 1)) {
+      throw new Error('SassMerge options: concurrency should be a positive integer!')
+    }
+
+    if (options.cacheDirectory != null && (typeof options.cacheDirectory !== 'string' || !options.cacheDirectory)) {
+      throw new Error('SassMerge options: cacheDirectory should be a path to directory!')
+    }
+
+    const importers = options.importers
+    if (!Array.isArray(importers) || importers.findIndex(x => typeof x !== 'function') !== -1) {
+      throw new Error('SassMerge options: importers should be an array of functions!')
+    }
+
+    if (options.preserveComments === true) {
+      options.preserveComments = removeComments.isImportantComment
+    } else if (!options.preserveComments) {
+      options.preserveComments = null
+    } else if (typeof options.preserveComments !== 'function') {
+      throw new Error('SassMerge options: preserveComments should be either boolean or a function!')
+    }
+
+    if (options.onTreeShaking != null && typeof options.onTreeShaking !== 'function') {
+      throw new Error('SassMerge options: onTreeShaking should be a function!')
+    }
+
+    if (options.outputStyle == null) {
+      options.outputStyle = options.removeUnnecessaryWhitespaces ? 'compressed' : null
+    } else if ([ 'expanded', 'compact', 'compressed' ].indexOf(options.outputStyle) === -1) {
+      throw new Error('SassMerge options: `outputStyle` can be set to either `expanded`, `compact` or `compressed`')
+    }
+
+    if (options.indentation == null) {
+      options.indentation = options.outputStyle === 'compressed' ? ' ' : '  '
+    } else if (typeof options.indentation !== 'string' || !/^(?: +|\t+)$/.test(options.indentation)) {
+      throw new Error('SassMerge options: indentation should be either spaces or tabs!')
+    }
+
+    if (typeof options.onWarning !== 'function') {
+      throw new Error('SassMerge options: onWarning should be a function!')
+    }
+
     const prefixes = options.globalPrefixes
     if (!prefixes || !Array.isArray(prefixes) || prefixes.findIndex(x => typeof x !== 'string') !== -1) {
       throw new Error('SassMerge options: globalPrefixes should be an array of strings!')
     }
 
+    const importOnceExclude = options.importOnceExclude
+    if (!Array.isArray(importOnceExclude) || importOnceExclude.findIndex(x => typeof x !== 'string') !== -1) {
+      throw new Error('SassMerge options: importOnceExclude should be an array of strings!')
+    }
+
     if (!options.globalDirectories) {
-      options.globalDirectories = findNodeModules({ cwd: inputFilePath, relative: false })
+      options.globalDirectories = findNodeModules({ cwd: inputFilePath || entries[Object.keys(entries)[0]], relative: false })
     }
 
     const directories = options.globalDirectories
@@ -142,13 +304,21 @@ class SassMerge {
     }
 
     // Create copy of array options
-    options.extensions = options.extensions.slice()
+    // Extensions in older format (i.e. `/index.scss`) are accepted, as index files are always resolved
+    options.extensions = options.extensions.map(x => path.extname(x) || x).filter((x, i, list) => x && list.indexOf(x) === i)
+    options.includePaths = options.includePaths.map(dirPath => path.resolve(dirPath))
+    options.cacheDirectory = options.cacheDirectory == null ? null : path.resolve(options.cacheDirectory)
+    options.mainFields = options.mainFields.slice()
+    options.importers = options.importers.slice()
     options.globalPrefixes = options.globalPrefixes.slice()
     options.globalDirectories = options.globalDirectories.slice().map(dirPath => path.resolve(dirPath))
 
     // Freeze options
     Object.freeze(options)
     Object.freeze(options.extensions)
+    Object.freeze(options.includePaths)
+    Object.freeze(options.mainFields)
+    Object.freeze(options.importers)
     Object.freeze(options.globalPrefixes)
     Object.freeze(options.globalDirectories)
 
@@ -158,9 +328,28 @@ class SassMerge {
         value: inputFilePath,
         configurable: false
       },
+      entries: {
+        value: entries && Object.freeze(entries),
+        configurable: false
+      },
       options: {
         value: options,
         configurable: false
+      },
+      converter: {
+        value: converter,
+        configurable: false
+      },
+      compiler: {
+        value: compiler,
+        configurable: false
+      },
+      diskCache: {
+        value: options.cacheDirectory ? new SassMergeCache(options.cacheDirectory, converter, {
+          sourceMap: options.sourceMap || options.target === 'css',
+          converter: converter.options || null
+        }) : null,
+        configurable: false
       }
     })
 
@@ -173,7 +362,7 @@ class SassMerge {
    *
    * @param {string} filePath
    * @param {string} [fromFilePath]
-   * @returns {string|null}
+   * @returns {Promise<string|null>}
    */
   resolveFilePath (filePath, fromFilePath = filePath) {
     const cwd = path.dirname(fromFilePath)
@@ -183,8 +372,17 @@ class SassMerge {
       return this._resolveFilePath(filePath, cwd)
     }
 
+    // Promise is cached, so the same file is not looked for many times at once
     if (!this.cache[id]) {
-      this.cache[id] = this._resolveFilePath(filePath, cwd)
+      const promise = this._resolveFilePath(filePath, cwd)
+
+      // Do not cache failures (i.e. ambiguous imports), as they may be fixed before next build
+      this.cache[id] = promise
+      promise.catch(() => {
+        if (this.cache[id] === promise) {
+          delete this.cache[id]
+        }
+      })
     }
 
     return this.cache[id]
@@ -194,46 +392,205 @@ class SassMerge {
    * @param {string} filePath
    * @param {string} cwd
    *
-   * @returns {string|null}
+   * @returns {Promise<string|null>}
    * @private
    */
-  _resolveFilePath (filePath, cwd) {
-    // Build possible file names (including their extensions)
-    const fileNames = this.options.extensions.map(extension => filePath + extension)
-
-    // Build absolute file paths for these file names
-    for (let fileName of fileNames) {
-      if (!path.isAbsolute(fileName)) {
-        fileName = path.resolve(path.join(cwd, fileName))
-      }
+  async _resolveFilePath (filePath, cwd) {
+    // Try to find file relatively to importing file, and then in include paths
+    const directories = path.isAbsolute(filePath) ? [ '' ] : [ cwd ].concat(this.options.includePaths)
+
+    for (const directory of directories) {
+      const _filePath = await this._findFile(path.resolve(directory, filePath), filePath)
 
-      if (fs.existsSync(fileName)) {
-        return fileName
+      if (_filePath) {
+        return _filePath
       }
     }
 
-    // Try to reach file also in global directories
+    // Try to reach file also in packages from global directories
     for (const prefix of this.options.globalPrefixes) {
-      if (!filePath.startsWith(prefix)) {
+      const request = filePath.substr(prefix.length)
+
+      if (!filePath.startsWith(prefix) || !request || path.isAbsolute(request)) {
         continue
       }
 
-      const globalFileNames = fileNames.map(fileName => fileName.substr(prefix.length))
-
       for (const directory of this.options.globalDirectories) {
-        for (const fileName of globalFileNames) {
-          const _filePath = path.join(directory, fileName)
+        const _filePath = await this._resolvePackageFile(request, directory)
+
+        if (_filePath) {
+          return _filePath
+        }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Resolve glob pattern (i.e. `components/**\/*`) to list of files.
+   * Pattern is relative to importing file, or to first of include paths where matching files are found.
+   *
+   * @param {string} pattern
+   * @param {string} fromFilePath
+   * @returns {Promise<{ directories: string[], filePaths: string[], missing: boolean }>}  directories to watch, sorted file paths and if base directory doesn't exist
+   */
+  async resolveGlobPaths (pattern, fromFilePath) {
+    const directories = path.isAbsolute(pattern) ? [ '' ] : [ path.dirname(fromFilePath) ].concat(this.options.includePaths)
+    const result = { directories: [], filePaths: [], missing: true }
+
+    for (const directory of directories) {
+      const found = await findGlobFiles(pattern, directory, this.options.extensions)
+
+      if (!found) {
+        continue
+      }
+
+      result.missing = false
 
-          if (fs.existsSync(_filePath)) {
+      // Watch also directories where files may be created later
+      result.directories.push(found.directory)
+
+      if (!result.filePaths.length) {
+        result.filePaths = found.filePaths.filter(filePath => filePath !== fromFilePath)
+      }
+    }
+
+    // Watch nearest existing directory, to rebuild when base directory is created
+    if (result.missing) {
+      result.directories.push(await findGlobFiles.findNearestDirectory(pattern, directories[0]))
+    }
+
+    return result
+  }
+
+  /**
+   * Resolve file from package inside of global directory (i.e. `node_modules`).
+   * It's using `exports` field (with `mainFields` as conditions) and `mainFields` from `package.json` file.
+   *
+   * @param {string} request  i.e. `package`, `@scope/package` or `package/path/to/file`
+   * @param {string} directory
+   * @returns {Promise<string|null>}
+   * @private
+   */
+  async _resolvePackageFile (request, directory) {
+    const match = request.match(/^((?:@[^/]+\/)?[^/]+)(?:\/(.+))?$/)
+    const packageDirectory = match ? path.join(directory, match[1]) : null
+    const manifest = packageDirectory ? await readPackageManifest(packageDirectory) : null
+
+    if (manifest) {
+      const subpath = match[2] || ''
+
+      // Resolve by export maps, also for paths without extension or partial prefix
+      if (manifest.exports != null) {
+        const subpaths = subpath
+          ? [ subpath ].concat(...this._getFileCandidates(subpath))
+          : [ '' ]
+
+        for (const _subpath of subpaths) {
+          const exportsKey = _subpath ? './' + _subpath.replace(/\\/g, '/') : '.'
+          const targets = resolvePackageExports(manifest.exports, exportsKey, this.options.mainFields)
+
+          for (const target of targets) {
+            const _filePath = await this._findFile(path.join(packageDirectory, target), request)
+
+            if (_filePath) {
+              return _filePath
+            }
+          }
+        }
+      }
+
+      // Resolve main entry by fields in package.json
+      if (!subpath) {
+        for (const field of this.options.mainFields) {
+          if (typeof manifest[field] !== 'string') {
+            continue
+          }
+
+          const _filePath = await this._findFile(path.join(packageDirectory, manifest[field]), request)
+
+          if (_filePath) {
             return _filePath
           }
         }
       }
     }
 
+    // Resolve as a file or index file
+    return this._findFile(path.join(directory, request), request)
+  }
+
+  /**
+   * Find existing file which corresponds to imported path.
+   *
+   * @param {string} filePath  absolute file path
+   * @param {string} [rawFilePath]  imported path, for error message
+   * @returns {Promise<string|null>}
+   * @private
+   */
+  async _findFile (filePath, rawFilePath = filePath) {
+    for (const group of this._getFileCandidates(filePath)) {
+      const found = await Promise.all(group.map(isFile))
+      const existing = group.filter((x, index) => found[index])
+
+      if (existing.length > 1) {
+        throw new Error(`SassMerge: "${rawFilePath}" is ambiguous, it matches multiple files:\n${existing.join('\n')}`)
+      }
+
+      if (existing.length) {
+        return existing[0]
+      }
+    }
+
     return null
   }
 
+  /**
+   * Build groups of file paths, which may correspond to imported path, following Sass algorithm:
+   * exact file (or its partial), file with extension (or its partial), and index file.
+   * When there is more than one existing file in a group, import is ambiguous.
+   *
+   * @param {string} filePath
+   * @returns {Array<string[]>}
+   * @private
+   */
+  _getFileCandidates (filePath) {
+    const extensions = this.options.extensions
+    const extension = path.extname(filePath)
+
+    // Sass is trying also partial (with "_" prefix) for each file
+    const withPartial = fileName => {
+      const baseName = path.basename(fileName)
+
+      return baseName.startsWith('_') ? [ fileName ] : [ fileName, path.join(path.dirname(fileName), '_' + baseName) ]
+    }
+
+    // Path with extension has to be exact
+    if (extensions.indexOf(extension) !== -1) {
+      return [ withPartial(filePath) ]
+    }
+
+    // Other files (i.e. assets) may be found as they are
+    const groups = extension ? [ [ filePath ] ] : []
+
+    // CSS files are used only when there is no SASS/SCSS file
+    const sets = [
+      extensions.filter(x => x !== '.css'),
+      extensions.filter(x => x === '.css')
+    ]
+
+    for (const set of sets) {
+      groups.push([].concat(...set.map(x => withPartial(filePath + x))))
+    }
+
+    for (const set of sets) {
+      groups.push([].concat(...set.map(x => withPartial(path.join(filePath, 'index' + x)))))
+    }
+
+    return groups.filter(group => group.length)
+  }
+
   /**
    * Get list of possible file paths for specified file name.
    *
@@ -257,32 +614,23 @@ class SassMerge {
   _getAvailableFilePaths (filePath, cwd) {
     const possibilities = []
 
-    // Build possible file names (including their extensions)
-    const fileNames = this.options.extensions.map(extension => filePath + extension)
-
-    // Build absolute file paths for these file names
-    for (let fileName of fileNames) {
-      if (!path.isAbsolute(fileName)) {
-        fileName = path.resolve(path.join(cwd, fileName))
-      }
+    // Build absolute file paths relatively to importing file and include paths
+    const directories = path.isAbsolute(filePath) ? [ '' ] : [ cwd ].concat(this.options.includePaths)
 
-      possibilities.push(fileName)
+    for (const directory of directories) {
+      possibilities.push(...[].concat(...this._getFileCandidates(path.resolve(directory, filePath))))
     }
 
     // Try to reach file also in global directories
     for (const prefix of this.options.globalPrefixes) {
-      if (!filePath.startsWith(prefix)) {
+      const request = filePath.substr(prefix.length)
+
+      if (!filePath.startsWith(prefix) || !request || path.isAbsolute(request)) {
         continue
       }
 
-      const globalFileNames = fileNames.map(fileName => fileName.substr(prefix.length))
-
       for (const directory of this.options.globalDirectories) {
-        for (const fileName of globalFileNames) {
-          const _filePath = path.join(directory, fileName)
-
-          possibilities.push(_filePath)
-        }
+        possibilities.push(...[].concat(...this._getFileCandidates(path.join(directory, request))))
       }
     }
 
@@ -291,14 +639,87 @@ class SassMerge {
 
   /**
    * Run single-time build.
+   * When `sourceMap` option is enabled, it will resolve with both stylesheet and its source map.
+   * With `css` target, it will resolve with compiled CSS, its source map, and built SCSS stylesheet with its source map.
+   * With multiple entry points, it will resolve with map of such results, entry name => result.
    *
    * @param {object} [cache]
-   * @returns {Promise<string>}
+   * @returns {Promise<string|{ stylesheet: string, map: object }|{ stylesheet: string, map: object|null, scss: string, scssMap: object|null }|object>}
    */
   build (cache) {
+    const format = x => this.options.target === 'css'
+      ? { stylesheet: x.stylesheet, map: x.map, scss: x.scss, scssMap: x.scssMap }
+      : this.options.sourceMap ? { stylesheet: x.stylesheet, map: x.map } : x.stylesheet
+
     return new SassMergeBuilder(this)
       .build(cache || {})
-      .then(x => x.stylesheet)
+      .then(x => x.entries ? mapValues(x.entries, format) : format(x))
+  }
+
+  /**
+   * Build graph of files loaded from input file (or entry points),
+   * with their format and size, and edges from importing to imported file (with original import string and its line).
+   *
+   * @param {object} [cache]
+   * @returns {Promise<{ entries: object, nodes: Array<{ path: string, format: string, size: number }>, edges: Array<{ from: string, to: string, url: string, line: number, rule: string }> }>}
+   */
+  getDependencyGraph (cache) {
+    return new SassMergeBuilder(this).getDependencyGraph(cache || {})
+  }
+
+  /**
+   * Find all import chains from entry points to specified file.
+   * Chain is a list of dependency graph edges, and it's empty for entry point itself.
+   *
+   * @param {string} filePath
+   * @param {object} [cache]
+   * @returns {Promise<Array<{ entry: string, chain: Array<{ from: string, to: string, url: string, line: number, rule: string }> }>>}
+   */
+  async getImportChains (filePath, cache) {
+    const graph = await this.getDependencyGraph(cache)
+
+    return findImportChains(graph, path.resolve(filePath))
+  }
+
+  /**
+   * Find entry points which should be rebuilt, when specified files are changed.
+   *
+   * @param {string[]} filePaths
+   * @param {object} [cache]
+   * @returns {Promise<string[]>}  names of entry points
+   */
+  async getAffectedEntries (filePaths, cache) {
+    const graph = await this.getDependencyGraph(cache)
+
+    return findAffectedEntries(graph, filePaths.map(filePath => path.resolve(filePath)))
+  }
+
+  /**
+   * Build report of stylesheets which are never loaded, and declared, but unused, mixins, functions, placeholders and variables.
+   * Stylesheets are searched in root directories, by default in directories of input files.
+   *
+   * @param {string[]} [roots]
+   * @param {object} [cache]
+   * @returns {Promise<{ unusedFiles: string[], unusedDeclarations: Array<{ kind: string, name: string, file: string|null, line: number|null }> }>}
+   */
+  getReport (roots, cache) {
+    if (!roots || !roots.length) {
+      const inputFilePaths = this.entries ? Object.keys(this.entries).map(name => this.entries[name]) : [ this.inputFilePath ]
+
+      roots = inputFilePaths.map(filePath => path.dirname(filePath))
+    }
+
+    roots = roots.map(root => path.resolve(root)).filter((x, i, list) => list.indexOf(x) === i)
+
+    // Offsets are required to find original location of declarations, and unused ones can't be removed before
+    const runner = new SassMerge(this.entries || this.inputFilePath, Object.assign({}, this.options, {
+      target: this.options.target === 'css' ? 'scss' : this.options.target,
+      sourceMap: true,
+      optimizeRedundantVariables: false,
+      treeShaking: false
+    }))
+
+    return new SassMergeBuilder(runner).getReport(roots, cache || {})
   }
 
   /**
@@ -314,6 +735,15 @@ class SassMerge {
   clean () {
     this.cache = {}
   }
+
+  /**
+   * Remove persistent cache of converted files (from `cacheDirectory`).
+   *
+   * @returns {Promise}
+   */
+  clearCache () {
+    return this.diskCache ? this.diskCache.clear() : Promise.resolve()
+  }
 }
 
 module.exports = SassMerge
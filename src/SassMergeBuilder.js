@@ -1,16 +1,36 @@
 const fs = require('fs')
-const execFile = require('child_process').execFile
-const stream = require('stream')
 const path = require('path')
 const uuid = require('uuid/v4')
 const microtime = require('microtime')
+const micromatch = require('micromatch')
 
 const SassMergeFile = require('./SassMergeFile')
+const SassMergeModules = require('./SassMergeModules')
+const OffsetMap = require('./OffsetMap')
+const createLimiter = require('./createLimiter')
+const findGlobFiles = require('./findGlobFiles')
+const findConflicts = require('./findConflicts')
+const findSymbols = require('./findSymbols')
+const findUnusedDeclarations = require('./findUnusedDeclarations')
+const getLineNumber = require('./getLineNumber')
 const determineFileFormat = require('./determineFileFormat')
+const replaceCode = require('./replaceCode')
+const editCode = require('./editCode')
+const parse = require('./parser/parse')
+const walk = require('./parser/walk')
+const parseImportParams = require('./parser/parseImportParams')
+const parseModuleParams = require('./parser/parseModuleParams')
+const tokenizeStylesheet = require('./parser/tokenizeStylesheet')
+const createSourceMap = require('./createSourceMap')
+const composeSourceMap = require('./composeSourceMap')
 const removeUnnecessaryWhitespaces = require('./removeUnnecessaryWhitespaces')
+const formatCode = require('./formatCode')
 const removeComments = require('./removeComments')
+const hoistCssImports = require('./hoistCssImports')
+const hoistPreservedComments = require('./hoistPreservedComments')
 const removeRedundantVariables = require('./removeRedundantVariables')
 const removeRedundantFunctionsAndMixins = require('./removeRedundantFunctionsAndMixins')
+const removeUnusedDeclarations = require('./removeUnusedDeclarations')
 
 /**
  * Builder for SassMerge.
@@ -18,6 +38,12 @@ const removeRedundantFunctionsAndMixins = require('./removeRedundantFunctionsAnd
  *
  * @property {SassMerge} runner
  * @property {boolean} progress
+ * @property {SassMergeModules|null} modules  modules of current build
+ * @property {object} importedFilePaths  map of files already inlined in current build, filePath => true
+ * @property {object[]} removedDeclarations  declarations removed by tree shaking in current build
+ * @property {object} virtualFiles  map of files returned by importers, filePath => { contents, syntax }
+ * @property {object} globDirectories  map of base directories of glob imports in current build, directory => true
+ * @property {object} dependencies  map of files loaded by each file, filePath => [ { from, to, url, line, rule } ]
  * @property {object} cache
  *
  * @class
@@ -34,6 +60,14 @@ class SassMergeBuilder {
     }
 
     this.urls = {}
+    this.modules = null
+    this.importedFilePaths = {}
+    this.removedDeclarations = []
+    this.entryOffsets = {}
+    this.entryModules = {}
+    this.virtualFiles = {}
+    this.globDirectories = {}
+    this.dependencies = {}
     this.progress = false
 
     Object.defineProperty(this, 'runner', {
@@ -43,61 +77,272 @@ class SassMergeBuilder {
   }
 
   /**
-   * Read file from disk.
+   * Read file from disk (or from virtual file returned by importer).
    *
    * @param {string} filePath
-   * @returns {string}
+   * @returns {Promise<{ source: string, content: string, format: string, offsets: OffsetMap|null }>}
    */
-  readFile (filePath) {
+  async readFile (filePath) {
+    const virtualFile = this.virtualFiles[filePath]
+
     // Determine file format for later use
-    const format = determineFileFormat(filePath)
+    const format = virtualFile && virtualFile.syntax ? virtualFile.syntax : determineFileFormat(filePath)
 
     // Get file contents from disk
-    let result = fs.readFileSync(filePath, 'utf8')
+    const source = virtualFile ? virtualFile.contents : await fs.promises.readFile(filePath, 'utf8')
+
+    // Track offsets of code only when source map is required
+    const offsets = this.shouldTrackOffsets() ? OffsetMap.identity(filePath) : null
+
+    let result = source
 
     // Resolve url() clauses
     if (this.runner.options.resolveUrl != null) {
-      result = this.resolveUrls(filePath, result, format)
+      result = await this.resolveUrls(filePath, result, format, offsets)
     }
 
     // Resolve imports inside of file (with absolute paths)
-    result = this.resolveImports(filePath, result, format)
+    result = await this.resolveImports(filePath, result, format, offsets)
 
     // Optimize basic stuff
-    return this.initiallyOptimize(result, format)
+    return {
+      source: source,
+      content: this.initiallyOptimize(result, format, offsets),
+      format: format,
+      offsets: offsets
+    }
   }
 
   /**
-   * Resolve imports file paths inside code.
+   * Resolve imports (and used modules) file paths inside code.
    *
    * @param {string} filePath
    * @param {string} content
    * @param {string} format
-   * @returns {string}
+   * @param {OffsetMap} [offsets]  map of offsets to update
+   * @returns {Promise<string>}
    */
-  resolveImports (filePath, content, format) {
-    const regex = format === 'scss'
-      ? /(@import\s+)(?:'((?:\\.|[^'])+)'|"((?:\\.|[^"])+)")()(\s*([;}]|$))/g
-      : /(@import\s+)(?:'((?:\\.|[^'])+)'|"((?:\\.|[^"])+)"|(.+?))(\s*(\n|$))/g
+  async resolveImports (filePath, content, format, offsets) {
+    const edits = []
+    const dependencies = []
+
+    // Remember original import string and its line, i.e. for dependency graph
+    const addDependency = (resolvedPath, url, offset, rule) => dependencies.push({
+      from: filePath,
+      to: resolvedPath,
+      url: url,
+      line: getLineNumber(content, offset),
+      rule: rule
+    })
 
-    return content.replace(regex, ($0, before, singleQuote, doubleQuote, literal, spacing) => {
-      const rawFilePath = (singleQuote || doubleQuote || literal).replace(/\\(.)/g, ($0, character) => character)
+    // Detect indentation used in file, as SASS syntax requires it to be consistent
+    const indentationUnit = (content.match(/^([\t ]+)\S/m) || [ null, '  ' ])[1]
 
-      // Ignore external URLs
-      if (rawFilePath.startsWith('url(')) {
-        return $0
+    // Find all clauses which are loading other files
+    const nodes = []
+
+    walk(parse(content, format), node => {
+      if (node.type === 'atrule' && (node.name === 'import' || node.name === 'use' || node.name === 'forward')) {
+        nodes.push(node)
       }
+    })
+
+    for (const node of nodes) {
+      // Modules (@use and @forward) are loaded always from single file, except built-in ones
+      if (node.name === 'use' || node.name === 'forward') {
+        const params = parseModuleParams(content, node)
+
+        if (params.url && !params.builtin) {
+          const resolvedPath = await this.resolveImportPath(params.url, filePath)
+          addDependency(resolvedPath, params.url, params.start, node.name)
+          edits.push({ start: params.start, end: params.end, value: `"${resolvedPath.replace(/"/g, '\\"')}"` })
+        }
+
+        continue
+      }
+
+      const items = parseImportParams(content, node)
+
+      // Imports with media query or supports condition are inlined inside of @media/@supports block, when file exists
+      const inlined = []
+
+      for (const item of items) {
+        inlined.push(!item.css || (item.conditional && (findGlobFiles.isGlob(item.path) || !!(await this.findImportPath(item.path, filePath)))))
+      }
+
+      const cssItems = items.filter((item, index) => !inlined[index])
+      const fileItems = items.filter((item, index) => inlined[index])
+
+      // Leave plain CSS imports as they are
+      if (!fileItems.length) {
+        continue
+      }
+
+      // Build single @import clause for each file, and single one for all plain CSS imports
+      const clauses = []
+
+      if (cssItems.length) {
+        clauses.push('@import ' + cssItems.map(item => content.substring(item.start, item.end)).join(', '))
+      }
+
+      for (const item of fileItems) {
+        for (const resolvedPath of await this.resolveImportPaths(item.path, filePath)) {
+          addDependency(resolvedPath, item.path, item.start, 'import')
+
+          const clause = `@import "${resolvedPath.replace(/"/g, '\\"')}"`
+
+          clauses.push(item.conditional ? this.wrapImport(clause, item, format, node.indentation, indentationUnit) : clause)
+        }
+      }
+
+      // In SCSS each clause is ended separately, as blocks shouldn't be ended with semicolon
+      if (format === 'sass') {
+        edits.push({ start: node.start, end: node.paramsStart + node.params.length, value: clauses.join('\n' + node.indentation) })
+      } else {
+        edits.push({ start: node.start, end: node.end, value: clauses.map(x => /}$/.test(x) ? x : x + ';').join('') })
+      }
+    }
+
+    this.dependencies[filePath] = dependencies
+
+    return editCode(content, edits, offsets)
+  }
+
+  /**
+   * Wrap @import clause inside of @supports and @media blocks, which are matching conditions of imported item.
+   *
+   * @param {string} clause
+   * @param {{ media: string|null, supports: string|null }} item
+   * @param {string} format
+   * @param {string} indentation  indentation of @import clause
+   * @param {string} indentationUnit  indentation used for nested blocks
+   * @returns {string}
+   */
+  wrapImport (clause, item, format, indentation, indentationUnit) {
+    const headers = []
 
-      const _filePath = this.runner.resolveFilePath(rawFilePath, filePath)
+    if (item.supports !== null) {
+      // Single declaration has to be wrapped with brackets
+      const supports = /^[\w-]+\s*:/.test(item.supports) ? `(${item.supports})` : item.supports
+      headers.push(`@supports ${supports}`)
+    }
+
+    if (item.media !== null) {
+      headers.push(`@media ${item.media}`)
+    }
+
+    if (format !== 'sass') {
+      return headers.map(header => header + ' { ').join('') + clause + ';' + headers.map(() => ' }').join('')
+    }
+
+    return headers.concat(clause)
+      .map((line, index) => (index ? indentation + indentationUnit.repeat(index) : '') + line)
+      .join('\n')
+  }
+
+  /**
+   * Resolve path of imported file.
+   *
+   * @param {string} rawFilePath
+   * @param {string} filePath  path of file which is importing
+   * @returns {Promise<string>}
+   */
+  async resolveImportPath (rawFilePath, filePath) {
+    const _filePath = await this.findImportPath(rawFilePath, filePath)
+
+    if (!_filePath) {
+      const error = new Error(`SassMerge: cannot resolve "${rawFilePath}" in "${filePath}"!`)
+      error.availablePaths = this.runner.getAvailableFilePaths(rawFilePath, filePath)
+      throw error
+    }
+
+    return _filePath
+  }
+
+  /**
+   * Resolve paths of imported files, expanding glob patterns (i.e. `components/**\/*`) to sorted list of files.
+   *
+   * @param {string} rawFilePath
+   * @param {string} filePath  path of file which is importing
+   * @returns {Promise<string[]>}
+   */
+  async resolveImportPaths (rawFilePath, filePath) {
+    if (!findGlobFiles.isGlob(rawFilePath)) {
+      return [ await this.resolveImportPath(rawFilePath, filePath) ]
+    }
+
+    const { directories, filePaths, missing } = await this.runner.resolveGlobPaths(rawFilePath, filePath)
 
-      if (!_filePath) {
-        const error = new Error(`SassMerge: cannot resolve "${rawFilePath}" in "${filePath}"!`)
-        error.availablePaths = this.runner.getAvailableFilePaths(rawFilePath, filePath)
+    for (const directory of directories) {
+      this.globDirectories[directory] = true
+    }
+
+    // Import of glob pattern without matching files is most likely a mistake, as it's dropped silently otherwise
+    if (!filePaths.length) {
+      const message = missing
+        ? `base directory of "${rawFilePath}" imported in "${filePath}" doesn't exist`
+        : `"${rawFilePath}" imported in "${filePath}" doesn't match any file`
+
+      // Keep watching directories, so build will be fixed when files are created
+      if (this.runner.options.strict) {
+        const error = new Error(`SassMerge: ${message}!`)
+        error.directories = Object.keys(this.globDirectories)
         throw error
       }
 
-      return `${before}"${_filePath.replace(/"/g, '\\"')}"${spacing}`
-    })
+      this.runner.options.onWarning(`SassMerge: ${message}`, { pattern: rawFilePath, file: filePath })
+    }
+
+    return filePaths
+  }
+
+  /**
+   * Find path of imported file, using importers first and then looking on disk.
+   *
+   * @param {string} rawFilePath
+   * @param {string} filePath  path of file which is importing
+   * @returns {Promise<string|null>}
+   */
+  async findImportPath (rawFilePath, filePath) {
+    for (const importer of this.runner.options.importers) {
+      const result = await importer(rawFilePath, filePath)
+
+      if (result == null) {
+        continue
+      }
+
+      if (typeof result !== 'object' || typeof result.filePath !== 'string' ||
+        (result.contents != null && typeof result.contents !== 'string') ||
+        (result.syntax != null && [ 'scss', 'sass', 'css' ].indexOf(result.syntax) === -1)) {
+        throw new Error(`SassMerge: importer returned invalid result for "${rawFilePath}" in "${filePath}"!`)
+      }
+
+      // Importer may return only alias, which should be resolved on disk
+      if (result.contents == null) {
+        return this.runner.resolveFilePath(result.filePath, filePath)
+      }
+
+      const virtualFilePath = path.resolve(path.dirname(filePath), result.filePath)
+
+      this.virtualFiles[virtualFilePath] = {
+        contents: result.contents,
+        syntax: result.syntax || null
+      }
+
+      return virtualFilePath
+    }
+
+    return this.runner.resolveFilePath(rawFilePath, filePath)
+  }
+
+  /**
+   * Check if offsets in code should be tracked, to map it back to original files:
+   * for source map, or to find original place of errors while compiling to CSS.
+   *
+   * @returns {boolean}
+   */
+  shouldTrackOffsets () {
+    return this.runner.options.sourceMap || this.runner.options.target === 'css'
   }
 
   /**
@@ -105,17 +350,18 @@ class SassMergeBuilder {
    *
    * @param {string} content
    * @param {string} format
+   * @param {OffsetMap} [offsets]  map of offsets to update
    * @returns {string}
    */
-  initiallyOptimize (content, format) {
+  initiallyOptimize (content, format, offsets) {
     if (this.runner.options.removeComments) {
-      content = removeComments(content, format)
+      content = removeComments(content, format, offsets, this.runner.options.preserveComments)
     }
 
-    if (this.runner.options.removeUnnecessaryWhitespaces) {
-      content = removeUnnecessaryWhitespaces(content, format)
+    if (this.runner.options.outputStyle === 'compressed') {
+      content = removeUnnecessaryWhitespaces(content, format, offsets, this.runner.options.indentation)
     }
-    
+
     return content
   }
 
@@ -127,13 +373,18 @@ class SassMergeBuilder {
    * @param {object} [cache]
    * @returns {Promise<SassMergeFile>}
    */
-  getFile (filePath, buildTime, cache) {
+  async getFile (filePath, buildTime, cache) {
     cache = cache || {}
 
-    const content = this.readFile(filePath)
+    const { source, content, format, offsets } = await this.readFile(filePath)
+    const cached = cache[filePath]
 
-    if (!cache[filePath] || cache[filePath].getUnprocessedContent() !== content) {
-      cache[filePath] = new SassMergeFile(filePath, content, buildTime)
+    // Source has to be compared as well, as it's required for exact offsets in source maps
+    if (
+      !cached || cached.originalFormat !== format || cached.getUnprocessedContent() !== content ||
+      (offsets && (cached.source !== source || !cached.getUnprocessedOffsets()))
+    ) {
+      cache[filePath] = new SassMergeFile(filePath, content, buildTime, source, offsets, format)
     }
 
     return cache[filePath]
@@ -141,50 +392,204 @@ class SassMergeBuilder {
 
   /**
    * Load all files which are in @import chain to memory.
+   * Files are read concurrently (up to `concurrency` option), but they are ordered as they were loaded one by one.
    *
    * @param {number} buildTime  cycle id
    * @param {object} [cache]  cache container
-   * @returns {Promise<{input: SassMergeFile, files: object}>}
+   * @returns {Promise<{input: SassMergeFile, inputs: object, files: object}>}
    */
   async loadAllFiles (buildTime, cache) {
     cache = cache || {}
 
-    const inputFilePath = this.runner.resolveFilePath(this.runner.inputFilePath)
+    // Resolve all entry points, single input file is treated as an entry point without name
+    const entries = this.runner.entries || { '': this.runner.inputFilePath }
+    const names = Object.keys(entries)
+    const inputFilePaths = await Promise.all(names.map(name => this.runner.resolveFilePath(entries[name])))
+
+    for (let i = 0; i < names.length; i++) {
+      if (!inputFilePaths[i]) {
+        throw new Error(`SassMerge: cannot find input file "${entries[names[i]]}"!`)
+      }
+    }
+
+    const limit = createLimiter(this.runner.options.concurrency)
+    const loading = {}
+
+    // Start loading file, and its dependencies as soon as it's ready
+    const load = filePath => {
+      if (!loading[filePath]) {
+        loading[filePath] = limit(() => this.getFile(filePath, buildTime, cache))
+        loading[filePath].then(file => file.getImports().forEach(x => load(x.filePath)), () => {})
+      }
+
+      return loading[filePath]
+    }
 
     // Initialize required variables
     const files = {}
-    const requirements = {}
-    const initiated = { [inputFilePath]: true }
-    const queuedFilePaths = [ inputFilePath ]
+    const initiated = {}
+    const queuedFilePaths = inputFilePaths.filter((filePath, index) => inputFilePaths.indexOf(filePath) === index)
 
-    // Load contents of all files
-    while (queuedFilePaths.length) {
-      const file = this.getFile(queuedFilePaths.shift(), buildTime, cache)
+    for (const filePath of queuedFilePaths) {
+      initiated[filePath] = true
+      load(filePath)
+    }
 
-      const localImports = file.getImports()
+    // Collect files in order of @import chain, so output is deterministic
+    while (queuedFilePaths.length) {
+      const file = await load(queuedFilePaths.shift())
 
       files[file.path] = file
-      requirements[file.path] = localImports
-
-      for (let i = 0; i < localImports.length; i++) {
-        const importedFilePath = localImports[i].filePath
 
-        if (initiated[importedFilePath]) {
-          continue
+      for (const { filePath } of file.getImports()) {
+        if (!initiated[filePath]) {
+          initiated[filePath] = true
+          queuedFilePaths.push(filePath)
         }
+      }
+    }
 
-        if (!initiated[importedFilePath]) {
-          initiated[importedFilePath] = []
+    const inputs = {}
+
+    for (let i = 0; i < names.length; i++) {
+      inputs[names[i]] = files[inputFilePaths[i]]
+    }
+
+    return {
+      input: files[inputFilePaths[0]],
+      inputs: inputs,
+      files: files
+    }
+  }
+
+  /**
+   * Get files which are in @import chain of input file, in order of all files.
+   *
+   * @param {string} format
+   * @param {SassMergeFile} inputFile
+   * @param {object} files
+   * @returns {object}
+   */
+  getEntryFiles (format, inputFile, files) {
+    const reachable = { [inputFile.path]: true }
+    const queuedFiles = [ inputFile ]
+
+    while (queuedFiles.length) {
+      for (const { filePath } of queuedFiles.shift().getImports(format)) {
+        if (!reachable[filePath] && files[filePath]) {
+          reachable[filePath] = true
+          queuedFiles.push(files[filePath])
         }
+      }
+    }
+
+    const entryFiles = {}
 
-        initiated[importedFilePath].push(file.path)
-        queuedFilePaths.push(importedFilePath)
+    for (const filePath of Object.keys(files)) {
+      if (reachable[filePath]) {
+        entryFiles[filePath] = files[filePath]
       }
     }
 
+    return entryFiles
+  }
+
+  /**
+   * Build stylesheet (and its source map) for single entry point.
+   *
+   * @param {string} format
+   * @param {SassMergeFile} inputFile
+   * @param {object} files
+   * @param {number} buildTime
+   * @returns {{ stylesheet: string, map: object|null }}
+   */
+  buildEntry (format, inputFile, files, buildTime) {
+    // Analyze modules loaded by @use and @forward clauses
+    this.modules = new SassMergeModules(this.getEntryFiles(format, inputFile, files), format)
+    this.importedFilePaths = {}
+    this.removedDeclarations = []
+
+    // Build ready to use stylesheet; cached code of entry point is reused when it's imported by other entries,
+    // so changes for whole stylesheet are applied to its copy
+    const content = this.buildFinalFile(format, inputFile, files, buildTime)
+    const offsets = this.shouldTrackOffsets() ? inputFile.getFinalOffsets(format).clone() : null
+    const stylesheet = this.finishStylesheet(format, content, offsets)
+
+    this.entryOffsets[inputFile.path] = offsets
+    this.entryModules[inputFile.path] = this.modules
+
+    // Report declarations removed by tree shaking, with their original location when it's known
+    const onTreeShaking = this.runner.options.onTreeShaking
+
+    if (onTreeShaking) {
+      onTreeShaking(this.removedDeclarations.map(({ kind, name, source, original }) => ({
+        kind: kind,
+        name: this.modules.getOriginalName(name),
+        file: files[source] ? source : null,
+        line: files[source] ? getLineNumber(files[source].source, original) : null
+      })), inputFile.path)
+    }
+
     return {
-      input: files[inputFilePath],
-      files: files
+      stylesheet: stylesheet,
+      map: this.runner.options.sourceMap ? this.buildSourceMap(stylesheet, offsets, files) : null
+    }
+  }
+
+  /**
+   * Detect mixins, functions, placeholders and global variables which are declared differently in separate files.
+   * Files are compared only with the ones sharing their namespace, i.e. module and files imported by it.
+   * In `strict` mode, error is thrown, otherwise warnings are passed to `onWarning` function,
+   * but only for conflicts involving files loaded in current cycle, so unchanged ones are not reported again.
+   *
+   * @param {object} inputs  map of entry points, name => SassMergeFile
+   * @param {object} files
+   * @param {number} buildTime
+   */
+  detectConflicts (inputs, files, buildTime) {
+    const groups = {}
+
+    // Collect files of each namespace in order of execution
+    const visit = (filePath, namespace) => {
+      const group = groups[namespace] || (groups[namespace] = [])
+
+      if (!files[filePath] || group.indexOf(filePath) !== -1) {
+        return
+      }
+
+      group.push(filePath)
+
+      for (const { filePath: importedFilePath, rule } of files[filePath].getImports()) {
+        visit(importedFilePath, rule === 'import' ? namespace : importedFilePath)
+      }
+    }
+
+    for (const name of Object.keys(inputs)) {
+      visit(inputs[name].path, inputs[name].path)
+    }
+
+    const conflicts = findConflicts(Object.keys(groups).map(namespace => groups[namespace].map(filePath => ({
+      path: filePath,
+      declarations: files[filePath].getDeclarations()
+    }))))
+
+    const prefixes = { variable: '$', placeholder: '%' }
+    const messages = conflicts.map(({ kind, name, previous, current }) => (
+      `${kind} "${prefixes[kind] || ''}${name}" declared in ${previous.file}:${previous.line} is redefined in ${current.file}:${current.line}`
+    ))
+
+    if (conflicts.length && this.runner.options.strict) {
+      const error = new Error('SassMerge: conflicting declarations found:\n' + messages.join('\n'))
+      error.conflicts = conflicts
+      throw error
+    }
+
+    const isChanged = filePath => files[filePath].loadTime === buildTime
+
+    for (let i = 0; i < conflicts.length; i++) {
+      if (isChanged(conflicts[i].previous.file) || isChanged(conflicts[i].current.file)) {
+        this.runner.options.onWarning(`SassMerge: ${messages[i]}`, conflicts[i])
+      }
     }
   }
 
@@ -200,12 +605,32 @@ class SassMergeBuilder {
     const requiredFiles = []
     const convertable = []
 
-    // Detect files which should be converted to desired format
-    for (const filePath of Object.keys(files)) {
-      const file = files[filePath]
+    // It will work, because:
+    // In case of 'scss' target, only 'sass' files needs to be converted
+    // In case of 'sass' target, 'css' files can be converted as 'scss' files
+    const fromFormat = format === 'scss' ? 'sass' : 'scss'
+
+    const converter = this.runner.converter
+    const diskCache = this.runner.diskCache
+    const sourceMap = this.shouldTrackOffsets()
+
+    // Detect files which should be converted to desired format (and weren't already converted)
+    const pendingFiles = Object.keys(files)
+      .map(filePath => files[filePath])
+      .filter(file => !file.hasUnprocessedContent(format))
+
+    // Look for files converted in one of previous runs
+    const cachedEntries = await Promise.all(pendingFiles.map(file => diskCache
+      ? diskCache.get(file.path, file.getUnprocessedContent(), fromFormat, format, sourceMap ? file.source : null)
+      : null
+    ))
 
-      // This file has been already converted to desired format
-      if (file.hasUnprocessedContent(format)) {
+    for (let i = 0; i < pendingFiles.length; i++) {
+      const file = pendingFiles[i]
+      const cached = cachedEntries[i]
+
+      if (cached) {
+        file.setUnprocessedContent(format, cached.content, buildTime, sourceMap ? cached.offsets || OffsetMap.point(file.path) : null)
         continue
       }
 
@@ -214,36 +639,55 @@ class SassMergeBuilder {
       convertable.push(file.path)
     }
 
-    // Do not call 'sass-convert' if there is no files to convert
+    // Do not call converter if there is no files to convert
     if (!convertable.length) {
       return convertable
     }
 
+    // Convert each file separately, unless converter prefers to get all files at once
+    if (!converter.bundle) {
+      for (const file of requiredFiles) {
+        // Without tracking offsets by converter, whole file will point to its beginning
+        const offsets = !sourceMap ? null
+          : converter.trackOffsets && file.getUnprocessedOffsets() ? file.getUnprocessedOffsets().clone()
+          : OffsetMap.point(file.path)
+
+        const result = await this.convertFile(file.getUnprocessedContent(), fromFormat, format, offsets)
+
+        if (diskCache) {
+          await diskCache.set(file.path, file.getUnprocessedContent(), fromFormat, format, result, offsets, sourceMap ? file.source : null)
+        }
+
+        file.setUnprocessedContent(format, result, buildTime, offsets)
+      }
+
+      return convertable
+    }
+
     // Generate unique ID to create multi-part SASS/SCSS file to convert
     const header = uuid()
 
     // Build regular expression to detect such header
     const regex = new RegExp(`(?:^|\n)\\/\\/ ${header}_BEGIN<([^>]+)>\n([^]+?)\n\\/\\/ ${header}_END\n`, 'g')
 
-    // It is much faster to bundle all files and call 'sass-convert' single time, than passing each file separately
+    // It is much faster to bundle all files and call i.e. 'sass-convert' single time, than passing each file separately
     let bundledContent = requiredFiles
       .map(file => `\n// ${header}_BEGIN<${file.path}>\n${file.getUnprocessedContent()}\n// ${header}_END\n`)
       .join('')
 
-    // It will work, because:
-    // In case of 'scss' target, only 'sass' files needs to be converted
-    // In case of 'sass' target, 'css' files can be converted as 'scss' files
-    const result = await this.convertFile(
-      bundledContent,
-      format === 'scss' ? 'sass' : 'scss',
-      format
-    )
+    const result = await this.convertFile(bundledContent, fromFormat, format)
 
     // Retrieve all parts from result file and update data
     let r
     while ((r = regex.exec(result))) {
       const file = files[r[1]]
-      file.setUnprocessedContent(format, r[2], buildTime)
+      const offsets = sourceMap ? OffsetMap.point(file.path) : null
+
+      if (diskCache) {
+        await diskCache.set(file.path, file.getUnprocessedContent(), fromFormat, format, r[2], offsets, sourceMap ? file.source : null)
+      }
+
+      file.setUnprocessedContent(format, r[2], buildTime, offsets)
     }
 
     return convertable
@@ -268,17 +712,28 @@ class SassMergeBuilder {
     // Retrieve information about input file @import clauses
     const imports = inputFile.getImports(format)
 
-    // Check if this file has been already built
-    if (!inputFile.hasChanges(format, files)) {
+    // Track offsets only when source map is required
+    const sourceMap = this.shouldTrackOffsets()
+
+    // Check if this file has been already built;
+    // with modules or `importOnce` it depends on other files, as they are inlined only once
+    if (!this.modules.isActive() && !this.runner.options.importOnce && !inputFile.hasChanges(format, files) && (!sourceMap || inputFile.getFinalOffsets(format))) {
       return inputFile.getFinalContent(format)
     }
 
     // Retrieve original content to include imported files inside
     let content = inputFile.getUnprocessedContent(format)
+    let offsets = null
 
-    // Go from end, so indexes will be always correct
-    for (let i = imports.length - 1; i >= 0; i--) {
-      const partial = imports[i]
+    if (sourceMap) {
+      offsets = inputFile.getUnprocessedOffsets(format)
+      offsets = offsets ? offsets.clone() : OffsetMap.point(inputFile.path)
+    }
+
+    // Replace references to members of modules with flattened names
+    const edits = this.modules.getEdits(inputFile).slice()
+
+    for (const partial of imports) {
       const partialFile = files[partial.filePath]
 
       // Check if partial file exists (it shouldn't happen)
@@ -286,76 +741,191 @@ class SassMergeBuilder {
         throw new Error('SassMerge: can\'t find file "' + partial.filePath + '" from "' + inputFile.path + '"')
       }
 
+      const isModule = partial.rule === 'use' || partial.rule === 'forward'
+
+      // Configure module before its code (and before any other module is loaded)
+      const configuration = isModule ? this.modules.getConfiguration(inputFile, partial) : []
+
+      // Emit module only in place where it has been loaded for the first time
+      if (isModule && !this.modules.emit(partial.filePath)) {
+        edits.push({ start: partial.index, end: partial.endIndex, value: '' })
+        continue
+      }
+
+      // Inline file only at its first @import, when it's expected
+      if (partial.rule === 'import' && this.shouldImportOnce(partial.filePath)) {
+        if (this.importedFilePaths[partial.filePath]) {
+          edits.push({ start: partial.index, end: partial.endIndex, value: '' })
+          continue
+        }
+
+        this.importedFilePaths[partial.filePath] = true
+      }
+
       // Build partial code
       const partialContent = this.buildFinalFile(format, partialFile, files, buildTime, importPath.concat(inputFile.path))
+      const partialOffsets = offsets ? partialFile.getFinalOffsets(format).clone() : null
       const indentedContent = partial.indentation
-        ? partialContent.replace(/\n(?:[\t\r ]*\n)*/g, `\n${partial.indentation}`) + '\n'
+        ? replaceCode(partialContent, /\n(?:[\t\r ]*\n)*/g, `\n${partial.indentation}`, partialOffsets) + '\n'
         : partialContent + '\n'
 
+      // Mark where code of partial starts
+      if (this.runner.options.banners) {
+        const separator = format === 'sass' ? '\n' + partial.indentation : '\n'
+        const filePath = path.relative(process.cwd(), partial.filePath).replace(/\\/g, '/')
+
+        edits.push({ start: partial.index, end: partial.index, value: `/* from: ${filePath} */` + separator })
+      }
+
+      if (configuration.length) {
+        const separator = format === 'sass' ? '\n' + partial.indentation : ';\n'
+        edits.push({ start: partial.index, end: partial.index, value: configuration.join(separator) + separator })
+      }
+
       // Replace @import clause with partial code
-      content = content.substr(0, partial.index) + indentedContent + content.substr(partial.endIndex)
+      edits.push({ start: partial.index, end: partial.endIndex, value: indentedContent, map: partialOffsets })
     }
 
+    content = editCode(content, edits, offsets)
+
     // Optimize output
 
-    if (this.runner.options.removeUnnecessaryWhitespaces) {
-      content = removeUnnecessaryWhitespaces(content, format)
+    if (this.runner.options.outputStyle === 'compressed') {
+      content = removeUnnecessaryWhitespaces(content, format, offsets, this.runner.options.indentation)
     }
 
     if (this.runner.options.optimizeRedundantFunctionsAndMixins) {
-      content = removeRedundantFunctionsAndMixins(content, format)
+      content = removeRedundantFunctionsAndMixins(content, format, offsets)
+    }
+
+    if (this.runner.options.outputStyle === 'compressed') {
+      content = removeUnnecessaryWhitespaces(content, format, offsets, this.runner.options.indentation)
+    }
+
+    // Set final content for later use (cache);
+    // it's inlined by other files as well, so it can't contain changes made for whole stylesheet
+    inputFile.setFinalContent(format, content, buildTime, offsets)
+
+    return content
+  }
+
+  /**
+   * Apply changes, which may be done only for whole stylesheet of entry point, to its built code.
+   * Passed offsets are updated in place.
+   *
+   * @param {string} format
+   * @param {string} content
+   * @param {OffsetMap|null} offsets
+   * @returns {string}
+   */
+  finishStylesheet (format, content, offsets) {
+    // Put plain CSS imports on top of stylesheet
+    content = hoistCssImports(content, format, offsets)
+
+    // Put built-in modules on top of stylesheet
+    if (this.modules.getBuiltinClauses().length) {
+      const separator = format === 'sass' ? '\n' : ';\n'
+      const clauses = this.modules.getBuiltinClauses().join(separator) + separator
+
+      content = editCode(content, [ { start: 0, end: 0, value: clauses } ], offsets)
+    }
+
+    // Unused declarations may be detected only in whole stylesheet
+    if (this.runner.options.treeShaking) {
+      content = removeUnusedDeclarations(content, format, offsets, this.removedDeclarations)
     }
 
     if (this.runner.options.optimizeRedundantVariables) {
-      content = removeRedundantVariables(content, format)
+      content = removeRedundantVariables(content, format, offsets)
     }
 
-    if (this.runner.options.removeUnnecessaryWhitespaces) {
-      content = removeUnnecessaryWhitespaces(content, format)
+    // Put preserved comments (i.e. licenses) into single header
+    if (this.runner.options.collectPreservedComments && this.runner.options.preserveComments) {
+      content = hoistPreservedComments(content, format, offsets, this.runner.options.preserveComments)
     }
 
-    // Set final content for later use (cache)
-    inputFile.setFinalContent(format, content, buildTime)
+    if (this.runner.options.outputStyle === 'compressed') {
+      content = removeUnnecessaryWhitespaces(content, format, offsets, this.runner.options.indentation)
+    } else if (this.runner.options.outputStyle) {
+      content = formatCode(content, format, this.runner.options.outputStyle, offsets, this.runner.options.indentation)
+    }
 
     return content
   }
 
+  /**
+   * Check if file should be inlined only at its first @import.
+   *
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  shouldImportOnce (filePath) {
+    const options = this.runner.options
+
+    return options.importOnce && !micromatch.any(filePath, options.importOnceExclude, { dot: true })
+  }
+
   /**
    * Resolve URLs in file.
    *
    * @param {string} filePath
    * @param {string} content
    * @param {string} format
+   * @param {OffsetMap} [offsets]  map of offsets to update
+   * @returns {Promise<string>}
    */
-  resolveUrls (filePath, content, format) {
-    const regex = /url\((?:'((?:[^'\n]|\\.)+)'|"((?:[^\n"]|\\.)+)"|((?:[^)\r\n\t ]|\\.)+))\)/g
+  async resolveUrls (filePath, content, format, offsets) {
+    const tokens = tokenizeStylesheet(content, format)
     const external = /^(?:(?:http|ftp)s?:)?\/\//
+    const edits = []
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i]
+      let end = token.end
+      let __url
+
+      if (token.type === 'url') {
+        // Unquoted URL: url(path)
+        __url = token.value.slice(4, -1).trim().replace(/\\(.)/g, ($0, $1) => $1)
+      } else if (token.type === 'word' && token.value.toLowerCase() === 'url' && tokens[i + 1] && tokens[i + 1].type === '(') {
+        // Quoted URL: url("path")
+        const rest = tokens.slice(i + 2, i + 6).filter(x => x.type !== 'space')
+
+        if (rest.length < 2 || rest[0].type !== 'string' || rest[1].type !== ')') {
+          continue
+        }
+
+        __url = rest[0].value.slice(1, -1).replace(/\\(.)/g, ($0, $1) => $1)
+        end = rest[1].end
+      } else {
+        continue
+      }
 
-    return content.replace(regex, ($0, quote, doubleQuote, literal) => {
-      const __url = (quote || doubleQuote || literal).replace(/\\(.)/g, ($0, $1) => $1)
       const [ _url, _hash ] = __url.split('#')
       const hash = _hash ? '#' + _hash : ''
       const [ url, _query ] = _url.split('?')
       const query = _query ? '?' + _query : ''
 
       // Ignore absolute external URLs
-      if (external.test(url)) {
-        return $0
+      if (!url || external.test(url)) {
+        continue
       }
 
       // Ignore URLs which starts with "/" as they will match exactly in domain
       if (!this.runner.options.resolveUrlsStartingWithSlash && url.startsWith('/')) {
-        return $0
+        continue
       }
 
       const absolutePath = url.startsWith('/')
         ? url
-        : this.runner.resolveFilePath(url) || path.resolve(path.join(path.dirname(filePath), url))
+        : (await this.runner.resolveFilePath(url)) || path.resolve(path.join(path.dirname(filePath), url))
 
       const resolvedUrl = this.resolveUrl(absolutePath, filePath, url, query || null, hash || null).replace(/"/g, '\\"')
 
-      return 'url("' + resolvedUrl + query + hash + '")'
-    })
+      edits.push({ start: token.start, end: end, value: 'url("' + resolvedUrl + query + hash + '")' })
+    }
+
+    return editCode(content, edits, offsets)
   }
 
   /**
@@ -408,8 +978,117 @@ class SassMergeBuilder {
   }
 
   /**
+   * Build Source Map v3 for stylesheet built from input file.
+   *
+   * @param {string} stylesheet
+   * @param {OffsetMap} offsets
+   * @param {object} files
+   * @returns {object}
+   */
+  buildSourceMap (stylesheet, offsets, files) {
+    return createSourceMap(stylesheet, offsets, this.getSources(files))
+  }
+
+  /**
+   * Get original code of all files, for source maps.
+   *
+   * @param {object} files
+   * @returns {object}  filePath => code
+   */
+  getSources (files) {
+    const sources = {}
+
+    for (const filePath of Object.keys(files)) {
+      sources[filePath] = files[filePath].source
+    }
+
+    return sources
+  }
+
+  /**
+   * Compile built stylesheet of entry point into CSS, using compiler from options.
+   * Compilation errors are mapped back to original files, when it's possible.
+   *
+   * @param {string} format
+   * @param {SassMergeFile} inputFile
+   * @param {object} files
+   * @param {{ stylesheet: string, map: object|null }} result  built stylesheet
+   * @returns {Promise<{ stylesheet: string, map: object|null, scss: string, scssMap: object|null }>}
+   */
+  async compileEntry (format, inputFile, files, result) {
+    const options = this.runner.options
+    const offsets = this.entryOffsets[inputFile.path] || null
+
+    let compiled
+
+    try {
+      compiled = await this.runner.compiler.compile(result.stylesheet, {
+        filePath: inputFile.path,
+        sourceMap: options.sourceMap,
+        style: options.outputStyle === 'compressed' ? 'compressed' : 'expanded',
+        loadPaths: [ path.dirname(inputFile.path) ].concat(options.includePaths)
+      })
+    } catch (error) {
+      throw this.mapCompilationError(error, result.stylesheet, offsets, files)
+    }
+
+    if (typeof compiled === 'string') {
+      compiled = { css: compiled, map: null }
+    }
+
+    if (!compiled || typeof compiled.css !== 'string') {
+      throw new Error('SassMerge: compiler returned invalid result for "' + inputFile.path + '"!')
+    }
+
+    return {
+      stylesheet: compiled.css,
+      map: options.sourceMap && compiled.map ? composeSourceMap(compiled.map, result.stylesheet, offsets, this.getSources(files)) : null,
+      scss: result.stylesheet,
+      scssMap: result.map
+    }
+  }
+
+  /**
+   * Build error of compilation, which is pointing to original file instead of built stylesheet.
+   *
+   * @param {Error|*} error  error thrown by compiler, with `offset` or `line` and `column` (one-based) properties
+   * @param {string} code  compiled code
+   * @param {OffsetMap|null} offsets
+   * @param {object} files
+   * @returns {Error}
+   */
+  mapCompilationError (error, code, offsets, files) {
+    let offset = error && error.offset != null ? error.offset : null
+
+    if (offset == null && error && error.line != null) {
+      const lines = code.split('\n').slice(0, error.line - 1)
+
+      offset = lines.reduce((sum, line) => sum + line.length + 1, 0) + Math.max(0, (error.column || 1) - 1)
+    }
+
+    const position = offset != null && offsets ? offsets.find(offset) : null
+    const file = position && files[position.source] ? position.source : null
+    const source = file ? files[file].source : null
+    const line = file ? getLineNumber(source, position.original) : null
+    const column = file ? position.original - source.lastIndexOf('\n', position.original - 1) : null
+
+    const message = String(error && error.message ? error.message : error).split('\n')[0]
+    const result = new Error(`SassMerge: compilation failed${file ? ` in ${file}:${line}:${column}` : ''}: ${message}`)
+
+    result.file = file
+    result.line = line
+    result.column = column
+    result.originalError = error
+
+    return result
+  }
+
+  /**
+   * With multiple entry points, `stylesheet` and `map` are empty, and results are in `entries` map.
+   * With `css` target, `stylesheet` and `map` are compiled CSS, and `scss` and `scssMap` are built stylesheet.
+   *
    * @private
-   * @returns {Promise<{ stylesheet: string, files: object }>}
+   * @returns {Promise<{ stylesheet: string|null, map: object|null, entries: object|null, files: object, directories: string[] }>}
    */
   async _build (cache) {
     // Initialize cache
@@ -422,33 +1101,156 @@ class SassMergeBuilder {
       throw new Error('SassMerge: manifest file with files mapping is broken!')
     }
 
-    // Get information about target language
-    const target = this.runner.options.target
+    // Get information about target language, CSS is compiled from SCSS
+    const target = this.runner.options.target === 'css' ? 'scss' : this.runner.options.target
+    const compile = this.runner.options.target === 'css'
 
     // Build cycle ID to detect changes in cached files
     const buildTime = microtime.now()
 
+    // Collect directories of glob imports and dependencies again, as they may change
+    this.globDirectories = {}
+    this.dependencies = {}
+
     // Load files and information about input one
-    const { input, files } = await this.loadAllFiles(buildTime, cache)
+    const { input, inputs, files } = await this.loadAllFiles(buildTime, cache)
 
     try {
-      // Convert all files to desired format
+      // Inform about declarations overriding each other
+      this.detectConflicts(inputs, files, buildTime)
+
+      // Convert all files to desired format, at once for all entry points
       await this.prepareFilesToFormat(files, target, buildTime)
 
-      // Build ready to use stylesheet
-      return {
-        stylesheet: this.buildFinalFile(target, input, files, buildTime),
-        files: files
+      if (!this.runner.entries) {
+        let result = this.buildEntry(target, input, files, buildTime)
+
+        if (compile) {
+          result = await this.compileEntry(target, input, files, result)
+        }
+
+        return Object.assign(result, { entries: null, files, directories: Object.keys(this.globDirectories) })
       }
+
+      const entries = {}
+
+      for (const name of Object.keys(inputs)) {
+        entries[name] = this.buildEntry(target, inputs[name], files, buildTime)
+
+        if (compile) {
+          entries[name] = await this.compileEntry(target, inputs[name], files, entries[name])
+        }
+      }
+
+      return { stylesheet: null, map: null, entries, files, directories: Object.keys(this.globDirectories) }
     } catch (error) {
       error.files = Object.keys(files)
+      error.directories = Object.keys(this.globDirectories)
       throw error
     }
   }
 
+  /**
+   * Load all files and build graph of their dependencies.
+   * Nodes are in order of @import chain, and edges are in order of @import clauses.
+   *
+   * @param {object} [cache]
+   * @returns {Promise<{ entries: object, nodes: Array<{ path: string, format: string, size: number }>, edges: Array<{ from: string, to: string, url: string, line: number, rule: string }> }>}
+   */
+  async getDependencyGraph (cache) {
+    this.globDirectories = {}
+    this.dependencies = {}
+
+    const { inputs, files } = await this.loadAllFiles(microtime.now(), cache || {})
+
+    // Single input file is named by its file name
+    const entries = {}
+
+    for (const name of Object.keys(inputs)) {
+      const filePath = inputs[name].path
+      entries[name || path.basename(filePath, path.extname(filePath))] = filePath
+    }
+
+    const nodes = Object.keys(files).map(filePath => ({
+      path: filePath,
+      format: files[filePath].originalFormat,
+      size: Buffer.byteLength(files[filePath].source || '')
+    }))
+
+    const edges = [].concat(...Object.keys(files).map(filePath => this.dependencies[filePath] || []))
+
+    return { entries, nodes, edges }
+  }
+
+  /**
+   * Build report of stylesheets under root directories which are never loaded,
+   * and declarations in built stylesheets which are never used (with their original location).
+   * With multiple entry points, declaration is reported only when it's not used by any of them.
+   *
+   * @param {string[]} roots  directories to search for stylesheets
+   * @param {object} [cache]
+   * @returns {Promise<{ unusedFiles: string[], unusedDeclarations: Array<{ kind: string, name: string, file: string|null, line: number|null }> }>}
+   */
+  async getReport (roots, cache) {
+    const { stylesheet, entries, files } = await this._build(cache)
+    const target = this.runner.options.target
+    const results = entries ? Object.keys(entries).map(name => entries[name].stylesheet) : [ stylesheet ]
+    const inputs = entries ? Object.keys(this.runner.entries).map(name => this.runner.entries[name]) : [ this.runner.inputFilePath ]
+
+    // Find stylesheets on disk, which are not in the graph
+    const unusedFiles = []
+
+    for (const root of roots) {
+      const found = await findGlobFiles('**/*', root, this.runner.options.extensions)
+
+      for (const filePath of found ? found.filePaths : []) {
+        if (!files[filePath] && !/[\\/]node_modules[\\/]/.test(path.relative(root, filePath)) && unusedFiles.indexOf(filePath) === -1) {
+          unusedFiles.push(filePath)
+        }
+      }
+    }
+
+    // Find unused declarations in each built stylesheet, and map them to original files
+    const used = {}
+    const unused = {}
+
+    for (let i = 0; i < results.length; i++) {
+      const inputFile = files[await this.runner.resolveFilePath(inputs[i])]
+      const offsets = this.entryOffsets[inputFile.path] || null
+      const modules = this.entryModules[inputFile.path]
+      const unusedInEntry = findUnusedDeclarations(results[i], target)
+      const isUnused = {}
+
+      for (const declaration of unusedInEntry) {
+        isUnused[declaration.start] = true
+      }
+
+      for (const declaration of findSymbols(results[i], target).declarations) {
+        const position = offsets ? offsets.find(declaration.node.start) : null
+        const file = position && files[position.source] ? position.source : null
+        const line = file ? getLineNumber(files[file].source, position.original) : null
+        const key = [ declaration.kind, modules.getOriginalName(declaration.name), file, line ].join(':')
+
+        if (!isUnused[declaration.start]) {
+          used[key] = true
+        } else if (!unused[key]) {
+          const { kind, name } = unusedInEntry.find(x => x.start === declaration.start)
+
+          // Members of modules are reported by names from their modules, not flattened ones
+          unused[key] = { kind, name: modules.getOriginalName(name), file, line }
+        }
+      }
+    }
+
+    return {
+      unusedFiles: unusedFiles,
+      unusedDeclarations: Object.keys(unused).filter(key => !used[key]).map(key => unused[key])
+    }
+  }
+
   /**
    * Start building
-   * @returns {Promise<{ stylesheet: string, files: object }>}
+   * @returns {Promise<{ stylesheet: string|null, map: object|null, entries: object|null, files: object, directories: string[] }>}
    */
   async build (cache) {
     // Allow only single build from one builder at a time,
@@ -486,31 +1288,11 @@ class SassMergeBuilder {
    * @param {string} content
    * @param {string} fromFormat
    * @param {string} toFormat
+   * @param {OffsetMap} [offsets]  map of offsets to update, if converter is able to track them
    * @returns {Promise<string>}
    */
-  convertFile (content, fromFormat, toFormat) {
-    // TODO: add `stop` method which will stop all procedures and kill spawned processes
-    return new Promise((resolve, reject) => {
-      const args = [ '--from', fromFormat, '--to', toFormat, '--stdin' ]
-      const options = { maxBuffer: this.runner.options.maxBuffer }
-
-      if (this.runner.options.encoding) {
-        args.unshift('--default-encoding', this.runner.options.encoding)
-      }
-
-      const child = execFile(this.runner.options.binary, args, options, (error, result) => {
-        if (error) {
-          reject(error)
-        } else {
-          resolve(result)
-        }
-      })
-
-      const rs = new stream.Readable()
-      rs.push(content)
-      rs.push(null)
-      rs.pipe(child.stdin)
-    })
+  convertFile (content, fromFormat, toFormat, offsets) {
+    return new Promise(resolve => resolve(this.runner.converter.convert(content, fromFormat, toFormat, offsets)))
   }
 
   /**
@@ -0,0 +1,171 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const OffsetMap = require('./OffsetMap')
+const { version } = require('../package.json')
+
+// Increase it, when format of cached entries is changing
+const CACHE_FORMAT = 1
+
+/**
+ * Persistent cache of files converted between SASS and SCSS syntax, stored in directory on disk.
+ * Entries are keyed by file path, hash of its contents, target format, converter version and relevant options,
+ * so any change of them invalidates entry automatically.
+ *
+ * @property {string} directory
+ * @property {{ convert: function, name: string, version: string|undefined, getVersion: function|undefined }} converter
+ * @property {object} options  options which are affecting conversion
+ * @property {Promise<string>|null} salt  part of key shared by all entries
+ *
+ * @class
+ */
+class SassMergeCache {
+  /**
+   * @param {string} directory
+   * @param {object} converter
+   * @param {object} options  options which are affecting conversion
+   *
+   * @constructor
+   */
+  constructor (directory, converter, options) {
+    this.directory = path.resolve(directory)
+    this.converter = converter
+    this.options = options
+    this.salt = null
+  }
+
+  /**
+   * Build part of key which is shared between all entries.
+   * Custom converters may expose `version` property or `getVersion()` method to invalidate cache.
+   *
+   * @returns {Promise<string>}
+   */
+  getSalt () {
+    if (!this.salt) {
+      const converter = this.converter
+
+      this.salt = Promise.resolve(typeof converter.getVersion === 'function' ? converter.getVersion() : converter.version)
+        .then(converterVersion => JSON.stringify([
+          CACHE_FORMAT,
+          version,
+          converter.name || null,
+          converterVersion || null,
+          this.options
+        ]))
+
+      // Try again next time, when version can't be read
+      this.salt.catch(() => { this.salt = null })
+    }
+
+    return this.salt
+  }
+
+  /**
+   * Get path of file with cached entry.
+   *
+   * @param {string} filePath
+   * @param {string} content
+   * @param {string} fromFormat
+   * @param {string} toFormat
+   * @param {string|null} [source]  original source of file, when cached offsets are pointing to it
+   * @returns {Promise<string>}
+   */
+  async getEntryPath (filePath, content, fromFormat, toFormat, source = null) {
+    const hash = crypto.createHash('sha1')
+      .update(await this.getSalt())
+      .update('\0' + filePath + '\0' + fromFormat + '\0' + toFormat + '\0')
+      .update(content)
+
+    // Offsets are relative to original source, so changes outside of content (i.e. in comments) invalidate them
+    if (source != null) {
+      hash.update('\0' + crypto.createHash('sha1').update(source).digest('hex'))
+    }
+
+    return path.join(this.directory, hash.digest('hex') + '.json')
+  }
+
+  /**
+   * Get converted contents of file from cache.
+   *
+   * @param {string} filePath
+   * @param {string} content  contents before conversion
+   * @param {string} fromFormat
+   * @param {string} toFormat
+   * @param {string|null} [source]  original source of file, when offsets are tracked
+   * @returns {Promise<{ content: string, offsets: OffsetMap|null }|null>}
+   */
+  async get (filePath, content, fromFormat, toFormat, source = null) {
+    const entryPath = await this.getEntryPath(filePath, content, fromFormat, toFormat, source)
+
+    // Broken or missing entries are treated as not cached
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(entryPath, 'utf8'))
+
+      if (entry.path !== filePath || typeof entry.content !== 'string') {
+        return null
+      }
+
+      return {
+        content: entry.content,
+        offsets: entry.offsets ? new OffsetMap(entry.offsets) : null
+      }
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * Save converted contents of file in cache.
+   *
+   * @param {string} filePath
+   * @param {string} content  contents before conversion
+   * @param {string} fromFormat
+   * @param {string} toFormat
+   * @param {string} result  contents after conversion
+   * @param {OffsetMap} [offsets]  map of offsets after conversion
+   * @param {string|null} [source]  original source of file, when offsets are tracked
+   * @returns {Promise}
+   */
+  async set (filePath, content, fromFormat, toFormat, result, offsets, source = null) {
+    const entryPath = await this.getEntryPath(filePath, content, fromFormat, toFormat, source)
+    const temporaryPath = `${entryPath}.${process.pid}.tmp`
+
+    const entry = JSON.stringify({
+      path: filePath,
+      content: result,
+      offsets: offsets ? offsets.segments : null
+    })
+
+    await fs.promises.mkdir(this.directory, { recursive: true })
+
+    // Write to temporary file first, so other processes will not read incomplete entry
+    await fs.promises.writeFile(temporaryPath, entry)
+    await fs.promises.rename(temporaryPath, entryPath)
+  }
+
+  /**
+   * Remove all cached entries.
+   *
+   * @returns {Promise}
+   */
+  async clear () {
+    let fileNames
+
+    try {
+      fileNames = await fs.promises.readdir(this.directory)
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return
+      }
+
+      throw error
+    }
+
+    const entries = fileNames.filter(fileName => /^[0-9a-f]{40}\.json(?:\.\d+\.tmp)?$/.test(fileName))
+
+    await Promise.all(entries.map(fileName => fs.promises.unlink(path.join(this.directory, fileName))))
+  }
+}
+
+module.exports = SassMergeCache
@@ -1,24 +1,40 @@
+const path = require('path')
+
 const determineFileFormat = require('./determineFileFormat')
+const { findFileDeclarations } = require('./findConflicts')
+const parse = require('./parser/parse')
+const walk = require('./parser/walk')
+const parseImportParams = require('./parser/parseImportParams')
+const parseModuleParams = require('./parser/parseModuleParams')
 
 /**
  * Class which represents stylesheet file.
  *
  * @property {string} path
+ * @property {string|null} source  original code of file (before any processing)
  * @property {string} originalFormat
  * @property {number} buildTime  ID of cycle when last time this file has been updated
+ * @property {number} loadTime  ID of cycle when this file has been loaded
+ * @property {{ buildTime: number, list: object[] }|null} declarations  cached top-level declarations of original code
  * @property {object} content
  * @property {object} content.css
  * @property {null|string} content.css.original  not processed code
  * @property {null|string} content.css.final  processed code
- * @property {object[]|Array<{ filePath: string, index: number, indentation: string }>|null} content.css.imports  list of @import clauses in unprocessed code
+ * @property {object[]|Array<{ filePath: string, index: number, indentation: string, rule: string }>|null} content.css.imports  list of @import (and @use/@forward) clauses in unprocessed code
+ * @property {OffsetMap|null} content.css.offsets  map of unprocessed code offsets to source
+ * @property {OffsetMap|null} content.css.finalOffsets  map of processed code offsets to sources
  * @property {object} content.scss
  * @property {null|string} content.scss.original  not processed code
  * @property {null|string} content.scss.final  processed code
- * @property {object[]|Array<{ filePath: string, index: number, indentation: string }>|null} content.scss.imports  list of @import clauses in unprocessed code
+ * @property {object[]|Array<{ filePath: string, index: number, indentation: string, rule: string }>|null} content.scss.imports  list of @import (and @use/@forward) clauses in unprocessed code
+ * @property {OffsetMap|null} content.scss.offsets  map of unprocessed code offsets to source
+ * @property {OffsetMap|null} content.scss.finalOffsets  map of processed code offsets to sources
  * @property {object} content.sass
  * @property {null|string} content.sass.original  not processed code
  * @property {null|string} content.sass.final  processed code
- * @property {object[]|Array<{ filePath: string, index: number, indentation: string }>|null} content.sass.imports  list of @import clauses in unprocessed code
+ * @property {object[]|Array<{ filePath: string, index: number, indentation: string, rule: string }>|null} content.sass.imports  list of @import (and @use/@forward) clauses in unprocessed code
+ * @property {OffsetMap|null} content.sass.offsets  map of unprocessed code offsets to source
+ * @property {OffsetMap|null} content.sass.finalOffsets  map of processed code offsets to sources
  * @class
  */
 class SassMergeFile {
@@ -26,22 +42,28 @@ class SassMergeFile {
    * @param {string} filePath
    * @param {string} content  Basic content
    * @param {number} buildTime  ID of current cycle
+   * @param {string} [source]  original code of file
+   * @param {OffsetMap} [offsets]  map of basic content offsets to source
+   * @param {string} [format]  format of file, determined by file path by default
    * @constructor
    */
-  constructor (filePath, content, buildTime) {
+  constructor (filePath, content, buildTime, source = null, offsets = null, format = null) {
     this.path = filePath
-    this.originalFormat = determineFileFormat(filePath)
+    this.source = source
+    this.loadTime = buildTime
+    this.declarations = null
+    this.originalFormat = format || determineFileFormat(filePath)
     this.content = {
-      css: { original: null, final: null, imports: [] },
-      scss: { original: null, final: null, imports: null },
-      sass: { original: null, final: null, imports: null }
+      css: { original: null, final: null, imports: [], offsets: null, finalOffsets: null },
+      scss: { original: null, final: null, imports: null, offsets: null, finalOffsets: null },
+      sass: { original: null, final: null, imports: null, offsets: null, finalOffsets: null }
     }
 
     if (!this.originalFormat) {
       throw new Error('SassMerge: cannot determine file format of `' + filePath + '` file!')
     }
 
-    this.setUnprocessedContent(this.originalFormat, content, buildTime)
+    this.setUnprocessedContent(this.originalFormat, content, buildTime, offsets)
   }
 
   /**
@@ -64,15 +86,36 @@ class SassMergeFile {
     return this.content[format] ? this.content[format].final : null
   }
 
+  /**
+   * Get map of unprocessed file content offsets (if exists) in specified format.
+   *
+   * @param {string} format
+   * @returns {OffsetMap|null}
+   */
+  getUnprocessedOffsets (format = this.originalFormat) {
+    return this.content[format] ? this.content[format].offsets : null
+  }
+
+  /**
+   * Get map of processed file content offsets (if exists) in specified format.
+   *
+   * @param {string} format
+   * @returns {OffsetMap|null}
+   */
+  getFinalOffsets (format = this.originalFormat) {
+    return this.content[format] ? this.content[format].finalOffsets : null
+  }
+
   /**
    * Set unprocessed file content in specified format.
    *
    * @param {string} format
    * @param {string} content
    * @param {number} buildTime  current cycle ID
+   * @param {OffsetMap} [offsets]  map of content offsets to source
    * @returns {string|null}
    */
-  setUnprocessedContent (format, content, buildTime) {
+  setUnprocessedContent (format, content, buildTime, offsets = null) {
     if (buildTime == null) {
       throw new Error('SassMerge: cycle ID is required')
     }
@@ -80,17 +123,25 @@ class SassMergeFile {
     if (format === 'css') {
       this.content.css.original = content
       this.content.css.final = content
+      this.content.css.offsets = offsets
+      this.content.css.finalOffsets = offsets
       this.content.scss.original = content
       this.content.scss.final = content
       this.content.scss.imports = []
+      this.content.scss.offsets = offsets
+      this.content.scss.finalOffsets = offsets
     } else if (format === 'scss') {
       this.content.scss.original = content
       this.content.scss.final = null
       this.content.scss.imports = null
+      this.content.scss.offsets = offsets
+      this.content.scss.finalOffsets = null
     } else if (format === 'sass') {
       this.content.sass.original = content
       this.content.sass.final = null
       this.content.sass.imports = null
+      this.content.sass.offsets = offsets
+      this.content.sass.finalOffsets = null
     }
 
     this.buildTime = buildTime
@@ -102,25 +153,47 @@ class SassMergeFile {
    * @param {string} format
    * @param {string} content
    * @param {number} buildTime  current cycle ID
+   * @param {OffsetMap} [offsets]  map of content offsets to sources
    * @returns {string|null}
    */
-  setFinalContent (format, content, buildTime) {
+  setFinalContent (format, content, buildTime, offsets = null) {
     if (buildTime == null) {
       throw new Error('SassMerge: cycle ID is required')
     }
 
     if (format === 'css') {
       this.content.css.final = content
+      this.content.css.finalOffsets = offsets
       this.content.scss.final = content
+      this.content.scss.finalOffsets = offsets
     } else if (format === 'scss') {
       this.content.scss.final = content
+      this.content.scss.finalOffsets = offsets
     } else if (format === 'sass') {
       this.content.sass.final = content
+      this.content.sass.finalOffsets = offsets
     }
 
     this.buildTime = buildTime
   }
 
+  /**
+   * Get top-level declarations of original code, which may conflict with other files.
+   * They are found only once for loaded file, so unchanged files are not parsed again in next builds.
+   *
+   * @returns {Array<{ kind: string, name: string, file: string, line: number, code: string }>}
+   */
+  getDeclarations () {
+    if (!this.declarations || this.declarations.buildTime !== this.loadTime) {
+      this.declarations = {
+        buildTime: this.loadTime,
+        list: findFileDeclarations({ path: this.path, source: this.source || '', format: this.originalFormat })
+      }
+    }
+
+    return this.declarations.list
+  }
+
   /**
    * Check if file has already processed content in specified format.
    *
@@ -143,9 +216,10 @@ class SassMergeFile {
 
   /**
    * Get all imports from code in specified format.
+   * Besides of @import clauses, it contains also modules loaded with @use and @forward (with their parameters).
    *
    * @param {string} [format]  defaults: original one
-   * @returns {object[]|Array<{ filePath: string, index: number, indentation: string }>}
+   * @returns {object[]|Array<{ filePath: string, index: number, indentation: string, rule: string }>}
    */
   getImports (format = this.originalFormat) {
     // Check if there is such format
@@ -166,31 +240,61 @@ class SassMergeFile {
       return []
     }
 
-    // Determine regular expression for @import
-    const regex = format === 'scss'
-      ? /()()@import\s+(?:'((?:\\.|[^'])+)'|"((?:\\.|[^"])+)")()(\s*([;}]|$))/g
-      : /((^|\n)[\t\r ]*)@import\s+(?:'((?:\\.|[^'])+)'|"((?:\\.|[^"])+)"|(.+?))(\s*(\n|$))/gm
-
     // Build list of @imports
     const imports = []
 
-    // Find all occurrences of @import clauses
-    let result
-    while (result = regex.exec(content)) {
-      const rawFilePath = (result[3] || result[4] || result[5]).replace(/\\(.)/g, ($0, character) => character)
+    // Find all @import, @use and @forward clauses in code
+    walk(parse(content, format), node => {
+      if (node.type !== 'atrule') {
+        return
+      }
 
-      // Ignore external URLs
-      if (rawFilePath.startsWith('url(')) {
-        continue
+      // Modules are loaded by @use and @forward clauses, built-in ones are left as they are
+      if (node.name === 'use' || node.name === 'forward') {
+        const params = parseModuleParams(content, node)
+
+        if (params.url && !params.builtin) {
+          imports.push({
+            index: node.start,
+            endIndex: node.end,
+            indentation: node.indentation,
+            filePath: params.url,
+            rule: node.name,
+            namespace: params.namespace,
+            prefix: params.prefix,
+            show: params.show,
+            hide: params.hide,
+            configuration: params.configuration
+          })
+        }
+
+        return
+      }
+
+      if (node.name !== 'import') {
+        return
+      }
+
+      const items = parseImportParams(content, node)
+      const item = items[0]
+
+      // Resolved CSS files have absolute paths, so they are not plain CSS imports
+      const isResolvedCss = items.length === 1 && item.extension && !item.url && !item.remote &&
+        item.media === null && item.supports === null && path.isAbsolute(item.path)
+
+      // Lists of imports are already split by builder; ignore plain CSS imports
+      if (items.length !== 1 || (item.css && !isResolvedCss)) {
+        return
       }
 
       imports.push({
-        index: result.index + result[1].length + result[2].length,
-        endIndex: result.index + result[0].length,
-        indentation: result[1].substr(result[2].length),
-        filePath: rawFilePath
+        index: node.start,
+        endIndex: node.end,
+        indentation: node.indentation,
+        filePath: item.path,
+        rule: 'import'
       })
-    }
+    })
 
     // Cache @import clauses
     this.content[format].imports = imports
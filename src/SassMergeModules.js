@@ -0,0 +1,694 @@
+const path = require('path')
+
+const parse = require('./parser/parse')
+const walk = require('./parser/walk')
+const tokenizeStylesheet = require('./parser/tokenizeStylesheet')
+const parseModuleParams = require('./parser/parseModuleParams')
+const editCode = require('./editCode')
+
+const kinds = {
+  variables: 'variable',
+  mixins: 'mixin',
+  functions: 'function'
+}
+
+/**
+ * Normalize member name, as in Sass hyphens and underscores are considered identical.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName (name) {
+  return name.replace(/_/g, '-')
+}
+
+/**
+ * Check if member is private to its module.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isPrivate (name) {
+  return name[0] === '-' || name[0] === '_'
+}
+
+/**
+ * Find all interpolations (`#{...}`) inside of text.
+ *
+ * @param {string} text
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function findInterpolations (text) {
+  const interpolations = []
+  let index = text.indexOf('#{')
+
+  while (index !== -1) {
+    let depth = 0
+    let end = text.length
+
+    for (let i = index + 1; i < text.length; i++) {
+      if (text[i] === '{') {
+        depth++
+      } else if (text[i] === '}' && --depth === 0) {
+        end = i + 1
+        break
+      }
+    }
+
+    interpolations.push({ start: index, end: end })
+    index = text.indexOf('#{', end)
+  }
+
+  return interpolations
+}
+
+/**
+ * Get names of local variables, which are declared by block clause (i.e. mixin arguments or loop variables).
+ *
+ * @param {object} node
+ * @returns {string[]}
+ */
+function getLocalNames (node) {
+  let text = null
+
+  if (node.name === 'mixin' || node.name === 'function') {
+    text = node.params.substr(node.params.indexOf('(') + 1)
+  } else if (node.name === 'include' && /\busing\s*\(/.test(node.params)) {
+    text = node.params.substr(node.params.search(/\busing\s*\(/)).replace(/^using\s*\(/, '')
+  } else if (node.name === 'each') {
+    return (node.params.split(/\s+in\s+/)[0].match(/\$[\w-]+/g) || []).map(name => normalizeName(name.substr(1)))
+  } else if (node.name === 'for') {
+    return (node.params.match(/^\s*\$([\w-]+)/) || []).slice(1).map(normalizeName)
+  }
+
+  if (text === null || node.params.indexOf('(') === -1) {
+    return []
+  }
+
+  // Split arguments, to get only their names (without default values)
+  const names = []
+  let depth = 0
+  let expectName = true
+
+  for (let i = 0; i < text.length; i++) {
+    const character = text[i]
+
+    if (character === '(' || character === '[') {
+      depth++
+    } else if (character === ')' || character === ']') {
+      depth--
+    } else if (character === ',' && depth === 0) {
+      expectName = true
+    } else if (expectName && character === '$') {
+      names.push(normalizeName(text.substr(i + 1).match(/^[\w-]*/)[0]))
+      expectName = false
+    } else if (!/\s/.test(character)) {
+      expectName = false
+    }
+  }
+
+  return names
+}
+
+/**
+ * Representation of Sass modules (loaded by @use and @forward clauses) for a single build.
+ * Each module is flattened: its members are renamed to unique names,
+ * so the merged stylesheet may be built without the module system.
+ *
+ * @property {object} files  map of files, filePath => SassMergeFile
+ * @property {string} format
+ * @property {object} records  map of modules, filePath => { prefix, members, exports }
+ * @property {object} builtins  map of used built-in modules, name => { namespaced: boolean, global: boolean }
+ * @property {object} emitted  map of modules which has been already emitted, filePath => true
+ *
+ * @class
+ */
+class SassMergeModules {
+  /**
+   * @param {object} files  map of files, filePath => SassMergeFile
+   * @param {string} format  target format
+   *
+   * @constructor
+   */
+  constructor (files, format) {
+    this.files = files
+    this.format = format
+    this.records = {}
+    this.builtins = {}
+    this.emitted = {}
+
+    this.owners = {}
+    this.names = {}
+    this.rules = {}
+    this.contexts = {}
+    this.edits = {}
+
+    this._createRecords()
+  }
+
+  /**
+   * Check if any file is using module system.
+   *
+   * @returns {boolean}
+   */
+  isActive () {
+    return Object.keys(this.records).length > 0 || Object.keys(this.builtins).length > 0
+  }
+
+  /**
+   * Create records for all modules, in order of files.
+   *
+   * @private
+   */
+  _createRecords () {
+    const prefixes = {}
+
+    for (const filePath of Object.keys(this.files)) {
+      for (const rule of this.getRules(this.files[filePath])) {
+        if (rule.params.builtin) {
+          const name = rule.params.url.substr(5)
+          const builtin = this.builtins[name] || (this.builtins[name] = { namespaced: false, global: false })
+
+          if (rule.node.name === 'use' && rule.params.namespace === null) {
+            builtin.global = true
+          } else {
+            builtin.namespaced = true
+          }
+
+          continue
+        }
+
+        if (this.records[rule.params.url]) {
+          continue
+        }
+
+        // Build unique prefix from file name
+        const name = path.basename(rule.params.url)
+          .replace(/^_/, '')
+          .replace(/\..*$/, '')
+          .replace(/[^\w-]/g, '-')
+          .replace(/^(?=[\d-]|$)/, 'module')
+
+        prefixes[name] = (prefixes[name] || 0) + 1
+
+        this.records[rule.params.url] = {
+          path: rule.params.url,
+          prefix: prefixes[name] > 1 ? `${name}-${prefixes[name]}` : name,
+          members: null,
+          exports: null
+        }
+      }
+    }
+  }
+
+  /**
+   * Get all @use and @forward clauses from file.
+   *
+   * @param {SassMergeFile} file
+   * @returns {Array<{ node: object, params: object }>}
+   */
+  getRules (file) {
+    if (this.rules[file.path]) {
+      return this.rules[file.path]
+    }
+
+    const content = file.getUnprocessedContent(this.format)
+    const rules = []
+
+    if (content && /@(use|forward)\b/.test(content)) {
+      walk(parse(content, this.format), node => {
+        if (node.type === 'atrule' && (node.name === 'use' || node.name === 'forward')) {
+          const params = parseModuleParams(content, node)
+
+          if (params.url) {
+            rules.push({ node: node, params: params })
+          }
+        }
+      })
+    }
+
+    this.rules[file.path] = rules
+
+    return rules
+  }
+
+  /**
+   * Get members declared directly in module, with their flattened names.
+   *
+   * @param {object} record
+   * @returns {{ variables: object, mixins: object, functions: object }}
+   */
+  getMembers (record) {
+    if (record.members) {
+      return record.members
+    }
+
+    const members = { variables: {}, mixins: {}, functions: {} }
+    const content = this.files[record.path].getUnprocessedContent(this.format)
+
+    const add = (kind, name) => {
+      const key = normalizeName(name)
+      members[kind][key] = `${record.prefix}__${key}`
+      this.owners[members[kind][key]] = record.path
+      this.names[members[kind][key]] = name
+    }
+
+    walk(parse(content, this.format), (node, parent) => {
+      // Variables declared in root or with !global flag are members of module
+      if (node.type === 'variable' && (parent.type === 'stylesheet' || node.global) && /^\$[\w-]+$/.test(node.name)) {
+        add('variables', node.name.substr(1))
+      } else if (node.type === 'atrule' && parent.type === 'stylesheet' && (node.name === 'mixin' || node.name === 'function')) {
+        const name = node.params.match(/^[\w-]+/)
+
+        if (name) {
+          add(node.name === 'mixin' ? 'mixins' : 'functions', name[0])
+        }
+      }
+    })
+
+    record.members = members
+
+    return members
+  }
+
+  /**
+   * Get name of member as it's written in its module, for name flattened by modules, i.e. `$size` for `$tokens__size`.
+   * Other names are returned without changes.
+   *
+   * @param {string} name  name as it's written in built code
+   * @returns {string}
+   */
+  getOriginalName (name) {
+    const sigil = name[0] === '$' ? '$' : ''
+    const original = this.names[name.substr(sigil.length)]
+
+    return original ? sigil + original : name
+  }
+
+  /**
+   * Get members available from outside of module (including forwarded ones), with their flattened names.
+   *
+   * @param {object} record
+   * @returns {{ variables: object, mixins: object, functions: object }}
+   */
+  getExports (record) {
+    if (record.exports) {
+      return record.exports
+    }
+
+    const members = this.getMembers(record)
+    const exported = { variables: {}, mixins: {}, functions: {} }
+
+    // Set it already, to avoid infinite loop in case of circular dependencies
+    record.exports = exported
+
+    for (const kind of Object.keys(members)) {
+      for (const name of Object.keys(members[kind])) {
+        if (!isPrivate(name)) {
+          exported[kind][name] = members[kind][name]
+        }
+      }
+    }
+
+    for (const rule of this.getRules(this.files[record.path])) {
+      if (rule.node.name !== 'forward' || rule.params.builtin) {
+        continue
+      }
+
+      const forwarded = this.getExports(this.records[rule.params.url])
+      const show = rule.params.show ? rule.params.show.map(normalizeName) : null
+      const hide = rule.params.hide ? rule.params.hide.map(normalizeName) : []
+
+      for (const kind of Object.keys(forwarded)) {
+        for (const name of Object.keys(forwarded[kind])) {
+          const exportedName = normalizeName(rule.params.prefix) + name
+          const visibleName = (kind === 'variables' ? '$' : '') + exportedName
+
+          if ((show && show.indexOf(visibleName) === -1) || hide.indexOf(visibleName) !== -1) {
+            continue
+          }
+
+          if (!exported[kind][exportedName]) {
+            exported[kind][exportedName] = forwarded[kind][name]
+          }
+        }
+      }
+    }
+
+    return exported
+  }
+
+  /**
+   * Get information about modules available in file.
+   *
+   * @param {SassMergeFile} file
+   * @returns {{ own: object|null, namespaces: object, globals: object[] }}
+   */
+  getContext (file) {
+    if (this.contexts[file.path]) {
+      return this.contexts[file.path]
+    }
+
+    const context = {
+      own: this.records[file.path] || null,
+      namespaces: {},
+      globals: []
+    }
+
+    for (const rule of this.getRules(file)) {
+      if (rule.node.name !== 'use') {
+        continue
+      }
+
+      const namespace = rule.params.namespace
+
+      if (rule.params.builtin) {
+        if (namespace !== null) {
+          context.namespaces[namespace] = { builtin: rule.params.url.substr(5) }
+        }
+      } else if (namespace === null) {
+        context.globals.push(this.records[rule.params.url])
+      } else {
+        context.namespaces[namespace] = { record: this.records[rule.params.url] }
+      }
+    }
+
+    this.contexts[file.path] = context
+
+    return context
+  }
+
+  /**
+   * Find flattened name of referenced member.
+   *
+   * @param {SassMergeFile} file
+   * @param {string} kind  'variables', 'mixins' or 'functions'
+   * @param {string|null} namespace
+   * @param {string} name
+   * @param {boolean} local  is there local variable with such name
+   * @returns {string|null}
+   * @private
+   */
+  _resolveName (file, kind, namespace, name, local) {
+    const context = this.getContext(file)
+    const key = normalizeName(name)
+
+    if (namespace !== null) {
+      const target = context.namespaces[namespace].record
+      const flattenedName = this.getExports(target)[kind][key]
+
+      if (!flattenedName) {
+        const label = (kind === 'variables' ? '$' : '') + name
+        throw new Error(`SassMerge: undefined ${kinds[kind]} "${namespace}.${label}" in "${file.path}"!`)
+      }
+
+      return flattenedName
+    }
+
+    if (local) {
+      return null
+    }
+
+    if (context.own && this.getMembers(context.own)[kind][key]) {
+      return this.getMembers(context.own)[kind][key]
+    }
+
+    for (const record of context.globals) {
+      const flattenedName = this.getExports(record)[kind][key]
+
+      if (flattenedName) {
+        return flattenedName
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Build edits, which are replacing references to members of modules with flattened names,
+   * and removing clauses of built-in modules (as they are hoisted).
+   *
+   * @param {SassMergeFile} file
+   * @returns {Array<{ start: number, end: number, value: string }>}
+   */
+  getEdits (file) {
+    if (this.edits[file.path]) {
+      return this.edits[file.path]
+    }
+
+    const context = this.getContext(file)
+    const edits = []
+
+    this.edits[file.path] = edits
+
+    if (!context.own && !context.globals.length && !Object.keys(context.namespaces).length) {
+      return edits
+    }
+
+    const content = file.getUnprocessedContent(this.format)
+    const scopes = []
+    const shorthands = {}
+    const selectors = []
+
+    walk(parse(content, this.format), node => {
+      // Remember selectors, to distinguish pseudo-classes from function calls (i.e. `a:not(...)` and `width:fn(...)`)
+      if (node.type === 'rule') {
+        selectors.push({ start: node.start, end: node.blockStart })
+      }
+
+      if (node.type !== 'atrule') {
+        return
+      }
+
+      if (node.name === 'use' && parseModuleParams(content, node).builtin) {
+        edits.push({ start: node.start - node.indentation.length, end: node.end, value: '' })
+      }
+
+      if (node.shorthand) {
+        shorthands[node.start] = node.name
+      }
+
+      const names = getLocalNames(node)
+
+      // Local variables are available only inside of block (default values are evaluated outside)
+      if (names.length && node.blockStart != null) {
+        scopes.push({ start: node.blockStart, end: node.end, names: names })
+      }
+    })
+
+    const isLocal = (offset, name) => scopes.some(scope => (
+      scope.start <= offset && scope.end > offset && scope.names.indexOf(normalizeName(name)) !== -1
+    ))
+
+    // Replace reference to member, when it is known
+    const replace = (kind, start, namespace, name) => {
+      const length = (namespace === null ? 0 : namespace.length + 1) + (kind === 'variables' ? 1 : 0) + name.length
+
+      // Built-in modules are always available under default namespace
+      if (namespace !== null && context.namespaces[namespace] && context.namespaces[namespace].builtin) {
+        const builtin = context.namespaces[namespace].builtin
+
+        if (builtin !== namespace) {
+          edits.push({ start: start, end: start + namespace.length, value: builtin })
+        }
+
+        return
+      }
+
+      if (namespace !== null && !context.namespaces[namespace]) {
+        return
+      }
+
+      const flattenedName = this._resolveName(file, kind, namespace, name, kind === 'variables' && isLocal(start, name))
+
+      if (flattenedName) {
+        edits.push({ start: start, end: start + length, value: (kind === 'variables' ? '$' : '') + flattenedName })
+      }
+    }
+
+    // Replace references inside of expression (i.e. interpolation)
+    const replaceInExpression = (text, offset) => {
+      const regex = /(?<![\w\\$])(?:([a-zA-Z_][\w-]*)\.)?(\$)?([a-zA-Z_-][\w-]*)(\()?/g
+      let match
+
+      while ((match = regex.exec(text))) {
+        if (match[2]) {
+          replace('variables', offset + match.index, match[1] || null, match[3])
+        } else if (match[4] && !/[.:-]/.test(text[match.index - 1] || '')) {
+          replace('functions', offset + match.index, match[1] || null, match[3])
+        }
+      }
+    }
+
+    const tokens = tokenizeStylesheet(content, this.format)
+    const isMeaningful = token => token.type !== 'space' && token.type !== 'comment' && token.type !== 'lineComment'
+
+    const findNext = index => {
+      for (let i = index + 1; i < tokens.length; i++) {
+        if (isMeaningful(tokens[i])) {
+          return tokens[i]
+        }
+      }
+
+      return null
+    }
+
+    let depth = 0
+    let previous = null
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i]
+
+      if (token.type === '(') {
+        depth++
+      } else if (token.type === ')') {
+        depth = Math.max(0, depth - 1)
+      } else if (token.type === '{' || token.type === '}' || token.type === ';') {
+        depth = 0
+      }
+
+      if (token.type === 'interpolation' || token.type === 'url' || token.type === 'string') {
+        const parts = token.type === 'interpolation'
+          ? [ { start: 0, end: token.value.length } ]
+          : findInterpolations(token.value)
+
+        for (const part of parts) {
+          replaceInExpression(token.value.substring(part.start, part.end), token.start + part.start)
+        }
+      } else if (token.type === 'word') {
+        const declaring = previous && previous.type === 'word' && /^(@include|@mixin|@function|=)$/i.test(previous.value)
+        const shorthand = shorthands[token.start] && token.value.length > 1
+
+        if (declaring || shorthand) {
+          // Name of mixin or function
+          const kind = shorthand || /^(@include|@mixin|=)$/i.test(previous.value) ? 'mixins' : 'functions'
+          const offset = shorthand ? 1 : 0
+          const match = token.value.substr(offset).match(/^(?:([a-zA-Z_][\w-]*)\.)?([a-zA-Z_-][\w-]*)/)
+
+          if (match) {
+            replace(kind, token.start + offset, match[1] || null, match[2])
+          }
+        } else {
+          const regex = /(?<![\w\\$])(?:([a-zA-Z_][\w-]*)\.)?\$([a-zA-Z_-][\w-]*)/g
+          let match
+
+          while ((match = regex.exec(token.value))) {
+            // Ignore keyword arguments, i.e. `$name` in `fn($name: value)`
+            const isKeyword = depth > 0 && match[0].length === token.value.length && findNext(i) && findNext(i).type === ':'
+
+            if (!isKeyword) {
+              replace('variables', token.start + match.index, match[1] || null, match[2])
+            }
+          }
+
+          // Function calls
+          const next = tokens[i + 1]
+          const isPseudoClass = previous && previous.type === ':' && previous.end === token.start &&
+            selectors.some(selector => selector.start <= token.start && selector.end > token.start)
+
+          if (next && next.type === '(' && !isPseudoClass) {
+            const call = token.value.match(/(?<![\w\\$.-])(?:([a-zA-Z_][\w-]*)\.)?([a-zA-Z_-][\w-]*)$/)
+
+            if (call) {
+              replace('functions', token.start + call.index, call[1] || null, call[2])
+            }
+          }
+        }
+      }
+
+      if (isMeaningful(token)) {
+        previous = token
+      }
+    }
+
+    return edits
+  }
+
+  /**
+   * Get part of file code, with references to members of modules replaced.
+   *
+   * @param {SassMergeFile} file
+   * @param {number} start
+   * @param {number} end
+   * @returns {string}
+   */
+  getCode (file, start, end) {
+    const edits = this.getEdits(file)
+      .filter(edit => edit.start >= start && edit.end <= end)
+      .map(edit => ({ start: edit.start - start, end: edit.end - start, value: edit.value }))
+
+    return editCode(file.getUnprocessedContent(this.format).substring(start, end), edits)
+  }
+
+  /**
+   * Build variables assignments, which are configuring module (from `with` clause).
+   * It should be called before module is emitted.
+   *
+   * @param {SassMergeFile} file  file which is loading module
+   * @param {object} rule  information about @use or @forward clause
+   * @returns {string[]}
+   */
+  getConfiguration (file, rule) {
+    if (!rule.configuration) {
+      return []
+    }
+
+    const exported = this.getExports(this.records[rule.filePath])
+
+    return rule.configuration.map(entry => {
+      const name = exported.variables[normalizeName(entry.name)]
+
+      if (!name) {
+        throw new Error(`SassMerge: variable "$${entry.name}" is not configurable in "${rule.filePath}" (from "${file.path}")!`)
+      }
+
+      // Variable may be declared in forwarded module, which is already loaded
+      if (rule.rule === 'use' && this.emitted[this.owners[name]]) {
+        throw new Error(`SassMerge: module "${this.owners[name]}" was already loaded, so it can't be configured in "${file.path}"!`)
+      }
+
+      const flag = rule.rule === 'forward' && entry.default ? ' !default' : ''
+
+      return `$${name}: ${this.getCode(file, entry.start, entry.end)}${flag}`
+    })
+  }
+
+  /**
+   * Mark module as emitted.
+   *
+   * @param {string} filePath
+   * @returns {boolean}  false when module has been already emitted
+   */
+  emit (filePath) {
+    if (this.emitted[filePath]) {
+      return false
+    }
+
+    this.emitted[filePath] = true
+
+    return true
+  }
+
+  /**
+   * Build @use clauses for all built-in modules, to put them on top of stylesheet.
+   *
+   * @returns {string[]}
+   */
+  getBuiltinClauses () {
+    const clauses = []
+
+    for (const name of Object.keys(this.builtins)) {
+      if (this.builtins[name].namespaced) {
+        clauses.push(`@use "sass:${name}"`)
+      }
+
+      if (this.builtins[name].global) {
+        clauses.push(`@use "sass:${name}" as *`)
+      }
+    }
+
+    return clauses
+  }
+}
+
+module.exports = SassMergeModules
@@ -108,12 +108,16 @@ class SassMergeWatcher extends EventEmitter {
       this.watchForManifestFile()
 
       const result = await this.builder._build(this.cache)
-      const filePaths = Object.keys(result.files)
+      // Watch also base directories of glob imports, to rebuild when new files are created
+      const filePaths = Object.keys(result.files).concat(result.directories)
 
       this.watchFiles(filePaths)
 
       this.emit('ready', {
         stylesheet: result.stylesheet,
+        map: result.map,
+        scss: result.scss || null,
+        entries: result.entries,
         took: (microtime.now() - startTime) / 1000
       })
     } catch (error) {
@@ -127,6 +131,10 @@ class SassMergeWatcher extends EventEmitter {
         watchedFiles.push(...error.files)
       }
 
+      if (error && error.directories) {
+        watchedFiles.push(...error.directories)
+      }
+
       if (watchedFiles.length) {
         this.watchFiles(watchedFiles)
       }
@@ -1,20 +1,41 @@
 const yargs = require('yargs')
 const which = require('which')
 const fs = require('fs')
+const path = require('path')
 const chalk = require('chalk')
+const mapValues = require('lodash/mapValues')
 
 const SassMerge = require('./SassMerge')
+const formatDependencyGraph = require('./formatDependencyGraph')
+const formatReport = require('./formatReport')
+
+const commands = [ 'why', 'affected', 'report' ]
 
 // Set up command line
 
 const argv = yargs
-  .usage(`Usage: $0 --input FILE_PATH --output FILE_PATH [option(s)]`)
+  .usage([
+    `Usage: $0 --input FILE_PATH --output FILE_PATH [option(s)]`,
+    `       $0 --input NAME=FILE_PATH [--input NAME=FILE_PATH...] --output-dir DIRECTORY [option(s)]`,
+    `       $0 why FILE_PATH --input FILE_PATH [--input...]`,
+    `       $0 affected FILE_PATH... --input FILE_PATH [--input...]`,
+    `       $0 report [DIRECTORY...] --input FILE_PATH [--input...] [--json]`
+  ].join('\n'))
   .default({
     target: 'scss',
+    converter: 'javascript',
     binary: which.sync('sass-convert', { nothrow: true }),
     optimize: false,
+    'optimize-variables': true,
+    'tree-shaking': false,
+    strict: false,
+    banners: false,
+    'preserve-comments': true,
+    'collect-comments': false,
     watch: false,
     polling: false,
+    'source-map': false,
+    'import-once': false,
     colors: !process.env.CI,
     public: ''
   })
@@ -26,20 +47,55 @@ const argv = yargs
   .alias('manifest', 'm')
   .alias('public', 'p')
   .alias('colors', 'c')
+  .describe('converter', 'Converter used between SASS and SCSS syntax')
+  .choices('converter', [ 'javascript', 'sass-convert' ])
   .describe('binary', 'sass-convert executable file')
   .string('binary')
   .describe('target', 'Type of file which will be generated')
-  .choices('target', [ 'scss', 'sass' ])
-  .describe('input', 'Input file to optimize for use')
+  .choices('target', [ 'scss', 'sass', 'css' ])
+  .describe('output-style', 'How output should be formatted')
+  .choices('output-style', [ 'expanded', 'compact', 'compressed' ])
+  .describe('indentation', 'Indentation of single nesting level (spaces or tabs)')
+  .string('indentation')
+  .describe('banners', 'Should mark where code of each inlined file starts?')
+  .boolean('banners')
+  .describe('preserve-comments', 'Should keep license and /*! comments?')
+  .boolean('preserve-comments')
+  .describe('collect-comments', 'Should move preserved comments into single header?')
+  .boolean('collect-comments')
+  .describe('input', 'Input file to optimize for use, or entry point as NAME=FILE_PATH (with --output-dir or command)')
   .string('input')
   .describe('output', 'Path where result should be stored')
   .string('output')
+  .describe('output-dir', 'Directory where result of each entry point should be stored')
+  .string('output-dir')
   .describe('optimize', 'Unsafe optimizations')
   .boolean('optimize')
+  .describe('optimize-variables', 'Should remove unused and redundant variables?')
+  .boolean('optimize-variables')
+  .describe('tree-shaking', 'Should remove unused mixins, functions and placeholders?')
+  .boolean('tree-shaking')
+  .describe('strict', 'Should fail when files are declaring the same members differently, or glob imports do not match any file?')
+  .boolean('strict')
   .describe('watch', 'Should watch for file changes?')
   .boolean('watch')
   .describe('polling', 'Should use polling for watchers?')
   .boolean('polling')
+  .describe('source-map', 'Should write source map next to output file?')
+  .boolean('source-map')
+  .describe('import-once', 'Should inline each file only at its first @import?')
+  .boolean('import-once')
+  .describe('import-once-exclude', 'Glob patterns of files which should be inlined at each @import')
+  .array('import-once-exclude')
+  .describe('cache-dir', 'Directory where converted files should be cached between runs')
+  .string('cache-dir')
+  .describe('concurrency', 'How many files may be read at once')
+  .number('concurrency')
+  .describe('list-dependencies', 'Print loaded files instead of building stylesheet')
+  .choices('list-dependencies', [ 'list', 'tree', 'json', 'dot' ])
+  .coerce('list-dependencies', value => value === '' || value === true ? 'list' : value)
+  .describe('json', 'Should print report in JSON format?')
+  .boolean('json')
   .describe('colors', 'Should color watcher output?')
   .boolean('colors')
   .describe('manifest', 'Manifest file path for url() mapping')
@@ -48,21 +104,170 @@ const argv = yargs
   .string('public')
   .describe('encoding', 'default encoding to use')
   .string('encoding')
-  .demandOption([ 'input', 'output' ])
+  .demandOption([ 'input' ])
+  .check(argv => {
+    const command = argv._[0]
+
+    if (command != null && commands.indexOf(command) === -1) {
+      throw new Error(`Unknown command: ${command}`)
+    }
+
+    if (command === 'why' && argv._.length !== 2) {
+      throw new Error('Command "why" requires single file path')
+    }
+
+    if (command === 'affected' && argv._.length < 2) {
+      throw new Error('Command "affected" requires at least one file path')
+    }
+
+    // Queries are not building stylesheet
+    if (command != null || argv.listDependencies != null) {
+      return true
+    }
+
+    if (argv.outputDir == null && argv.output == null) {
+      throw new Error('Either --output or --output-dir is required')
+    }
+
+    if (argv.outputDir == null && [].concat(argv.input).length > 1) {
+      throw new Error('Multiple entry points require --output-dir')
+    }
+
+    return true
+  })
   .argv
 
-const merger = new SassMerge(argv.input, {
+// Build map of entry points, named by NAME=FILE_PATH or by file name
+function parseEntries (inputs) {
+  const entries = {}
+
+  for (const input of inputs) {
+    const match = input.match(/^([^=]+)=(.+)$/)
+    const name = match ? match[1] : path.basename(input, path.extname(input))
+
+    if (entries[name]) {
+      throw new Error(`Entry point "${name}" is defined more than once`)
+    }
+
+    entries[name] = match ? match[2] : input
+  }
+
+  return entries
+}
+
+// Input option may be passed multiple times
+const inputs = [].concat(argv.input)
+const entries = parseEntries(inputs)
+
+// Queries are reporting entry points by their names, so named single entry point is kept as well
+const isQuery = argv._[0] != null || argv.listDependencies != null
+const isNamed = inputs.some(input => input.indexOf('=') !== -1)
+
+const input = argv.outputDir == null && inputs.length === 1 && !(isQuery && isNamed)
+  ? entries[Object.keys(entries)[0]]
+  : entries
+
+// Display file path relatively to current directory
+function relative (filePath) {
+  return path.relative(process.cwd(), filePath).replace(/\\/g, '/')
+}
+
+// Inform about declarations removed by tree shaking
+function reportTreeShaking (removed, inputFilePath) {
+  for (const { kind, name, file, line } of removed) {
+    console.error(`${relative(inputFilePath)}: removed unused ${kind} ${name}${file ? ` (${relative(file)}:${line})` : ''}`)
+  }
+}
+
+const merger = new SassMerge(input, {
   usePolling: argv.polling,
+  converter: argv.converter,
   binary: argv.binary,
   target: argv.target,
   optimizeRedundantFunctionsAndMixins: argv.optimize,
-  optimizeRedundantVariables: argv.optimize,
+  optimizeRedundantVariables: argv.optimizeVariables,
+  treeShaking: argv.treeShaking,
+  onTreeShaking: reportTreeShaking,
+  strict: argv.strict,
+  outputStyle: argv.outputStyle || null,
+  indentation: argv.indentation || null,
+  banners: argv.banners,
+  preserveComments: argv.preserveComments,
+  collectPreservedComments: argv.collectComments,
   resolveUrl: argv.resolveUrl || null,
   public: argv.public,
-  encoding: argv.encoding
+  encoding: argv.encoding,
+  sourceMap: argv.sourceMap,
+  importOnce: argv.importOnce,
+  importOnceExclude: argv.importOnceExclude || [],
+  concurrency: argv.concurrency,
+  cacheDirectory: argv.cacheDir || null
 })
 
-if (argv.watch) {
+function saveFile (stylesheet, map, output = argv.output) {
+  fs.writeFileSync(output, stylesheet)
+
+  if (!map) {
+    return
+  }
+
+  // Source paths should be relative to the map file
+  const directory = path.dirname(path.resolve(output))
+
+  map.file = path.basename(output)
+  map.sources = map.sources.map(source => path.relative(directory, source).replace(/\\/g, '/'))
+
+  fs.writeFileSync(output + '.map', JSON.stringify(map))
+}
+
+function saveEntries (entries) {
+  fs.mkdirSync(argv.outputDir, { recursive: true })
+
+  for (const name of Object.keys(entries)) {
+    const { stylesheet, map } = entries[name]
+
+    saveFile(stylesheet, map, path.join(argv.outputDir, name + '.' + argv.target))
+  }
+}
+
+function saveResult ({ stylesheet, map, entries }) {
+  return entries ? saveEntries(entries) : saveFile(stylesheet, map)
+}
+
+function fail (error) {
+  console.error(error)
+  process.exit(1)
+}
+
+if (argv._[0] === 'why') {
+  merger.getImportChains(String(argv._[1]))
+    .then(chains => {
+      if (!chains.length) {
+        console.error(`${argv._[1]} is not used by any entry point`)
+        process.exit(1)
+      }
+
+      for (const { entry, chain } of chains) {
+        const steps = chain.map(edge => `${relative(edge.from)}:${edge.line}`)
+        const filePath = chain.length ? chain[chain.length - 1].to : merger.entries ? merger.entries[entry] : merger.inputFilePath
+
+        console.log(`${entry}: ${steps.concat(relative(filePath)).join(' → ')}`)
+      }
+    })
+    .catch(fail)
+} else if (argv._[0] === 'affected') {
+  merger.getAffectedEntries(argv._.slice(1).map(String))
+    .then(entries => entries.forEach(entry => console.log(entry)))
+    .catch(fail)
+} else if (argv._[0] === 'report') {
+  merger.getReport(argv._.slice(1).map(String))
+    .then(report => console.log(formatReport(report, argv.json ? 'json' : 'text')))
+    .catch(fail)
+} else if (argv.listDependencies != null) {
+  merger.getDependencyGraph()
+    .then(graph => console.log(formatDependencyGraph(graph, argv.listDependencies)))
+    .catch(fail)
+} else if (argv.watch) {
   const messages = {
     building: 'Building stylesheet...',
     success: 'Built stylesheet in {took}ms',
@@ -79,18 +284,17 @@ if (argv.watch) {
   watcher.on('run', () => console.log(messages.building))
   watcher.on('ready', ({ stylesheet, took }) => console.log(messages.success.replace('{took}', took)))
   watcher.on('error', ({ error, took }) => console.log(messages.error.replace('{took}', took), error.message))
-  watcher.on('ready', ({ stylesheet }) => fs.writeFileSync(argv.output, stylesheet))
+  watcher.on('ready', saveResult)
 
   watcher.run()
 } else {
-  function saveFile (stylesheet) {
-    fs.writeFileSync(argv.output, stylesheet)
-  }
-
-  function fail (error) {
-    console.error(error)
-    process.exit(1)
+  // Without source map, build is resolved with stylesheet only (except of CSS target)
+  function normalize (result) {
+    return typeof result === 'string' ? { stylesheet: result, map: null } : result
   }
 
-  merger.build().then(saveFile, fail)
+  merger.build()
+    .then(result => argv.outputDir == null ? normalize(result) : { entries: mapValues(result, normalize) })
+    .then(saveResult)
+    .catch(fail)
 }
@@ -0,0 +1,36 @@
+/**
+ * Compiler of SCSS into CSS, which delegates compilation to custom function.
+ *
+ * @property {string} name
+ * @property {function(string, object): (string|{ css: string, map: object|null }|Promise)} fn
+ *
+ * @class
+ */
+class FunctionCompiler {
+  /**
+   * @param {function(string, object): (string|{ css: string, map: object|null }|Promise)} fn
+   *
+   * @constructor
+   */
+  constructor (fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('SassMerge options: custom compiler should be a function!')
+    }
+
+    this.name = fn.name || 'function'
+    this.fn = fn
+  }
+
+  /**
+   * Compile SCSS code into CSS.
+   *
+   * @param {string} content
+   * @param {object} options
+   * @returns {string|{ css: string, map: object|null }|Promise}
+   */
+  compile (content, options) {
+    return this.fn(content, options)
+  }
+}
+
+module.exports = FunctionCompiler
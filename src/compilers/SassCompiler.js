@@ -0,0 +1,72 @@
+const { pathToFileURL } = require('url')
+
+/**
+ * Load `sass` package, preferably from the project which is using SassMerge.
+ *
+ * @returns {object|null}
+ */
+function loadSass () {
+  try {
+    return require(require.resolve('sass', { paths: [ process.cwd(), __dirname ] }))
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Compiler of SCSS into CSS, which is using `sass` (Dart Sass) package.
+ *
+ * @property {string} name
+ * @property {object} sass
+ *
+ * @class
+ */
+class SassCompiler {
+  /**
+   * @constructor
+   */
+  constructor () {
+    const sass = loadSass()
+
+    if (!sass || typeof sass.compileString !== 'function') {
+      throw new Error('SassMerge options: can\'t find `sass` package (at least 1.45.0), install it or pass custom compiler!')
+    }
+
+    this.name = 'sass'
+    this.sass = sass
+  }
+
+  /**
+   * Compile SCSS code into CSS.
+   * Thrown error has `offset` property, with place of problem in compiled code.
+   *
+   * @param {string} content
+   * @param {object} options
+   * @param {string} options.filePath  path of entry point
+   * @param {boolean} options.sourceMap  should build source map?
+   * @param {string} options.style  either "expanded" or "compressed"
+   * @param {string[]} options.loadPaths  directories where not inlined files (i.e. plain CSS) may be found
+   * @returns {{ css: string, map: object|null }}
+   */
+  compile (content, options) {
+    try {
+      const result = this.sass.compileString(content, {
+        syntax: 'scss',
+        url: pathToFileURL(options.filePath),
+        loadPaths: options.loadPaths,
+        style: options.style,
+        sourceMap: options.sourceMap
+      })
+
+      return { css: result.css, map: result.sourceMap || null }
+    } catch (error) {
+      if (error && error.span) {
+        error.offset = error.span.start.offset
+      }
+
+      throw error
+    }
+  }
+}
+
+module.exports = SassCompiler
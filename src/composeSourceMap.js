@@ -0,0 +1,117 @@
+const createSourceMap = require('./createSourceMap')
+
+const { findLineOffsets, getPosition, serializeSourceMap } = createSourceMap
+
+const base64Characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Decode Base64 VLQ values of single mapping segment.
+ *
+ * @param {string} segment
+ * @returns {number[]}
+ */
+function decodeVlq (segment) {
+  const values = []
+  let value = 0
+  let shift = 0
+
+  for (const character of segment) {
+    const digit = base64Characters.indexOf(character)
+
+    value += (digit & 31) << shift
+
+    if (digit & 32) {
+      shift += 5
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1)
+      value = 0
+      shift = 0
+    }
+  }
+
+  return values
+}
+
+/**
+ * Decode mappings of Source Map v3 into absolute values.
+ *
+ * @param {string} mappings
+ * @returns {Array<Array<number[]>>}  mappings for each generated line: [ generatedColumn, sourceIndex, line, column ]
+ */
+function decodeMappings (mappings) {
+  let source = 0
+  let line = 0
+  let column = 0
+
+  return mappings.split(';').map(group => {
+    let generatedColumn = 0
+
+    return group.split(',').filter(segment => segment).map(segment => {
+      const values = decodeVlq(segment)
+
+      generatedColumn += values[0]
+
+      if (values.length < 4) {
+        return [ generatedColumn ]
+      }
+
+      source += values[1]
+      line += values[2]
+      column += values[3]
+
+      return [ generatedColumn, source, line, column ]
+    })
+  })
+}
+
+/**
+ * Build Source Map v3 of code generated from intermediate code (i.e. CSS compiled from merged stylesheet),
+ * which is pointing directly to original files.
+ *
+ * @param {{ mappings: string }} map  source map of generated code, which is pointing to intermediate code
+ * @param {string} code  intermediate code
+ * @param {OffsetMap} offsets  map of intermediate code offsets to sources
+ * @param {object} sources  map of original code of files, filePath => code
+ * @param {string} [file]  name of generated file
+ * @returns {{ version: number, file: string, sources: string[], sourcesContent: string[], names: string[], mappings: string }}
+ */
+function composeSourceMap (map, code, offsets, sources, file) {
+  const sourceIndexes = {}
+  const sourceList = []
+  const sourceLineOffsets = []
+  const lineOffsets = findLineOffsets(code)
+
+  const lines = decodeMappings(map.mappings).map(mappings => {
+    const result = []
+
+    for (const [ generatedColumn, , line, column ] of mappings) {
+      if (line == null || line >= lineOffsets.length) {
+        continue
+      }
+
+      const place = offsets.find(lineOffsets[line] + column)
+
+      if (!place || place.source == null || sources[place.source] == null) {
+        continue
+      }
+
+      if (sourceIndexes[place.source] == null) {
+        sourceIndexes[place.source] = sourceList.length
+        sourceList.push(place.source)
+        sourceLineOffsets.push(findLineOffsets(sources[place.source]))
+      }
+
+      const original = getPosition(sourceLineOffsets[sourceIndexes[place.source]], place.original)
+
+      result.push([ generatedColumn, sourceIndexes[place.source], original.line, original.column ])
+    }
+
+    return result
+  })
+
+  return serializeSourceMap(lines, sourceList, sources, file)
+}
+
+composeSourceMap.decodeMappings = decodeMappings
+
+module.exports = composeSourceMap
@@ -0,0 +1,304 @@
+/**
+ * Find index where single-line comment starts in line of SASS code.
+ * It is ignoring strings and unquoted url() clauses.
+ *
+ * @param {string} line
+ * @returns {number}  -1 when there is no comment
+ */
+function findCommentIndex (line) {
+  for (let i = 0; i < line.length; i++) {
+    const character = line[i]
+
+    if (character === '"' || character === '\'') {
+      // Skip string
+      for (i++; i < line.length && line[i] !== character; i++) {
+        if (line[i] === '\\') {
+          i++
+        }
+      }
+    } else if (character === '/' && line[i + 1] === '*') {
+      // Skip inline multi-line comment
+      const endIndex = line.indexOf('*/', i + 2)
+      i = endIndex === -1 ? line.length : endIndex + 1
+    } else if (character === '/' && line[i + 1] === '/') {
+      return i
+    } else if (/^url\(\s*[^'"\s]/i.test(line.substr(i, 6)) && !/[\w-]/.test(line[i - 1] || '')) {
+      // Skip unquoted URL
+      const endIndex = line.indexOf(')', i)
+      i = endIndex === -1 ? line.length : endIndex
+    }
+  }
+
+  return -1
+}
+
+/**
+ * Calculate how many brackets are left open in line of code.
+ *
+ * @param {string} line
+ * @returns {number}
+ */
+function countOpenBrackets (line) {
+  let count = 0
+
+  for (let i = 0; i < line.length; i++) {
+    const character = line[i]
+
+    if (character === '"' || character === '\'') {
+      for (i++; i < line.length && line[i] !== character; i++) {
+        if (line[i] === '\\') {
+          i++
+        }
+      }
+    } else if (character === '(' || character === '[') {
+      count++
+    } else if (character === ')' || character === ']') {
+      count--
+    }
+  }
+
+  return count
+}
+
+/**
+ * Split list of values by commas (outside of strings and brackets).
+ *
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitByCommas (value) {
+  const items = []
+  let depth = 0
+  let lastIndex = 0
+
+  for (let i = 0; i < value.length; i++) {
+    const character = value[i]
+
+    if (character === '"' || character === '\'') {
+      for (i++; i < value.length && value[i] !== character; i++) {
+        if (value[i] === '\\') {
+          i++
+        }
+      }
+    } else if (character === '(') {
+      depth++
+    } else if (character === ')') {
+      depth--
+    } else if (character === ',' && depth === 0) {
+      items.push(value.substring(lastIndex, i))
+      lastIndex = i + 1
+    }
+  }
+
+  items.push(value.substr(lastIndex))
+
+  return items.map(item => item.trim())
+}
+
+/**
+ * Convert single SASS statement into SCSS one (without ending).
+ *
+ * @param {string} statement
+ * @param {boolean} hasChildren
+ * @returns {string}
+ */
+function convertStatement (statement, hasChildren) {
+  // Mixin declaration shorthand: `=name`
+  if (/^=/.test(statement)) {
+    return '@mixin ' + statement.replace(/^=\s*/, '')
+  }
+
+  // Mixin inclusion shorthand: `+name`
+  if (/^\+[^\s+]/.test(statement)) {
+    return '@include ' + statement.substr(1)
+  }
+
+  // Old property syntax: `:property value`
+  if (!hasChildren && /^:[a-zA-Z-][\w-]*\s+\S/.test(statement)) {
+    return statement.replace(/^:([a-zA-Z-][\w-]*)\s+/, '$1: ')
+  }
+
+  // Quote file paths in @import, as SCSS requires them
+  const importMatch = statement.match(/^@import\s+/)
+
+  if (importMatch) {
+    const paths = splitByCommas(statement.substr(importMatch[0].length))
+      .map(x => /^[^\s'"()]+$/.test(x) && !/^url\(/i.test(x) ? `"${x.replace(/"/g, '\\"')}"` : x)
+
+    return '@import ' + paths.join(', ')
+  }
+
+  return statement
+}
+
+/**
+ * Split SASS code to logical lines (statements and comments).
+ *
+ * @param {string} content
+ * @returns {Array<{ type: string, indentation: number, offset: number, lines: string[] }>}
+ */
+function splitToLogicalLines (content) {
+  const lines = content.split(/\r\n?|\n/)
+  const lineOffsets = []
+  const result = []
+
+  // Calculate offsets of lines start
+  const lineEndRegex = /\r\n?|\n/g
+  lineOffsets.push(0)
+
+  while (lineEndRegex.exec(content)) {
+    lineOffsets.push(lineEndRegex.lastIndex)
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    // Ignore empty lines
+    if (!line.trim()) {
+      continue
+    }
+
+    const indentation = line.match(/^[\t ]*/)[0].length
+    const offset = lineOffsets[i] + indentation
+    const text = line.substr(indentation).replace(/\s+$/, '')
+
+    // Multi-line or single-line comment, which may be continued in more indented lines
+    if (text.startsWith('/*') || text.startsWith('//')) {
+      const commentLines = [ text ]
+
+      while (i + 1 < lines.length) {
+        const nextLine = lines[i + 1]
+        const nextIndentation = nextLine.match(/^[\t ]*/)[0].length
+
+        if (nextLine.trim() && nextIndentation <= indentation) {
+          break
+        }
+
+        i++
+
+        if (nextLine.trim()) {
+          commentLines.push(' '.repeat(nextIndentation - indentation) + nextLine.trim())
+        }
+      }
+
+      result.push({
+        type: text.startsWith('/*') ? 'multiLineComment' : 'comment',
+        indentation: indentation,
+        offset: offset,
+        lines: commentLines
+      })
+
+      continue
+    }
+
+    // Join lines which are continued (unclosed brackets or selectors list)
+    let statement = text
+    let comment = null
+
+    while (true) {
+      const commentIndex = findCommentIndex(statement)
+
+      if (commentIndex !== -1) {
+        comment = statement.substr(commentIndex)
+        statement = statement.substr(0, commentIndex).replace(/\s+$/, '')
+      }
+
+      const isContinued = countOpenBrackets(statement) > 0 || statement.endsWith(',')
+
+      if (!isContinued || i + 1 >= lines.length || !lines[i + 1].trim()) {
+        break
+      }
+
+      statement += ' ' + lines[++i].trim()
+    }
+
+    result.push({
+      type: 'statement',
+      indentation: indentation,
+      offset: offset,
+      lines: [ statement ],
+      comment: comment
+    })
+  }
+
+  return result
+}
+
+/**
+ * Convert code in SASS indented syntax into SCSS code.
+ *
+ * @param {string} content
+ * @param {OffsetMap} [offsets]  map of offsets to update
+ * @returns {string}
+ */
+function convertSassToScss (content, offsets) {
+  const items = splitToLogicalLines(content)
+  const stack = []
+  const output = []
+  const lineOffsets = []
+
+  function push (line, offset) {
+    output.push(line)
+    lineOffsets.push(offset)
+  }
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i]
+
+    // Close blocks which has ended
+    while (stack.length && stack[stack.length - 1].indentation >= item.indentation) {
+      push('  '.repeat(stack.length - 1) + '}', stack.pop().offset)
+    }
+
+    const indentation = '  '.repeat(stack.length)
+
+    if (item.type === 'comment') {
+      for (const line of item.lines) {
+        push(indentation + (line.trim().startsWith('//') ? line.trim() : '// ' + line.trim()), item.offset)
+      }
+
+      continue
+    }
+
+    if (item.type === 'multiLineComment') {
+      const lines = item.lines.slice()
+      const lastLine = lines[lines.length - 1]
+
+      if (!lastLine.endsWith('*/')) {
+        lines[lines.length - 1] = lastLine + ' */'
+      }
+
+      for (const line of lines) {
+        push(indentation + line, item.offset)
+      }
+
+      continue
+    }
+
+    const next = items[i + 1]
+    const hasChildren = !!next && next.indentation > item.indentation
+    const statement = convertStatement(item.lines[0], hasChildren)
+    const comment = item.comment ? ' ' + item.comment : ''
+
+    if (hasChildren) {
+      push(indentation + statement + ' {' + comment, item.offset)
+      stack.push(item)
+    } else {
+      push(indentation + statement + ';' + comment, item.offset)
+    }
+  }
+
+  // Close all blocks which are left
+  while (stack.length) {
+    push('  '.repeat(stack.length - 1) + '}', stack.pop().offset)
+  }
+
+  // Each line comes from beginning of corresponding SASS statement
+  if (offsets) {
+    offsets.update(output.map((line, index) => ({ at: lineOffsets[index], length: line.length + 1 })))
+  }
+
+  return output.join('\n') + '\n'
+}
+
+module.exports = convertSassToScss
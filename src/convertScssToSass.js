@@ -0,0 +1,221 @@
+/**
+ * Collapse all whitespaces outside of strings into single spaces.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+function collapseWhitespaces (code) {
+  let result = ''
+
+  for (let i = 0; i < code.length; i++) {
+    const character = code[i]
+
+    if (character === '"' || character === '\'') {
+      const startIndex = i
+
+      for (i++; i < code.length && code[i] !== character; i++) {
+        if (code[i] === '\\') {
+          i++
+        }
+      }
+
+      result += code.substring(startIndex, i + 1)
+    } else if (/\s/.test(character)) {
+      result += ' '
+
+      while (/\s/.test(code[i + 1] || '')) {
+        i++
+      }
+    } else {
+      result += character
+    }
+  }
+
+  return result.trim()
+}
+
+/**
+ * Parse SCSS code into simple tree of blocks, statements and comments.
+ *
+ * @param {string} content
+ * @returns {Array<object>}
+ */
+function parse (content) {
+  const root = { children: [] }
+  const stack = [ root ]
+  let buffer = ''
+  let bufferOffset = 0
+
+  function current () {
+    return stack[stack.length - 1]
+  }
+
+  function flush () {
+    const statement = collapseWhitespaces(buffer)
+    buffer = ''
+
+    if (statement) {
+      current().children.push({ type: 'statement', text: statement, offset: bufferOffset })
+    }
+  }
+
+  for (let i = 0; i < content.length; i++) {
+    const character = content[i]
+
+    // Remember where statement starts
+    if (!buffer.trim()) {
+      bufferOffset = i
+    }
+
+    if (character === '"' || character === '\'') {
+      // Copy whole string
+      const startIndex = i
+
+      for (i++; i < content.length && content[i] !== character; i++) {
+        if (content[i] === '\\') {
+          i++
+        }
+      }
+
+      buffer += content.substring(startIndex, i + 1)
+    } else if (character === '/' && content[i + 1] === '*') {
+      // Multi-line comment
+      const endIndex = content.indexOf('*/', i + 2)
+      const comment = content.substring(i, endIndex === -1 ? content.length : endIndex + 2)
+      i += comment.length - 1
+
+      if (buffer.trim()) {
+        buffer += collapseWhitespaces(comment)
+      } else {
+        current().children.push({ type: 'multiLineComment', text: comment, offset: i - comment.length + 1 })
+      }
+    } else if (character === '/' && content[i + 1] === '/') {
+      // Single-line comment
+      const endIndex = content.indexOf('\n', i)
+      const comment = content.substring(i, endIndex === -1 ? content.length : endIndex)
+      i += comment.length - 1
+
+      current().children.push({ type: 'comment', text: comment.trim(), offset: i - comment.length + 1 })
+    } else if (character === '#' && content[i + 1] === '{') {
+      // Copy whole interpolation
+      const startIndex = i
+      let depth = 0
+
+      for (i++; i < content.length; i++) {
+        if (content[i] === '{') {
+          depth++
+        } else if (content[i] === '}' && --depth === 0) {
+          break
+        }
+      }
+
+      buffer += content.substring(startIndex, i + 1)
+    } else if (/^url\(\s*[^'"\s)]/i.test(content.substr(i, 6)) && !/[\w-]/.test(content[i - 1] || '')) {
+      // Copy whole unquoted URL, as it may contain '//'
+      const endIndex = content.indexOf(')', i)
+      const url = content.substring(i, endIndex === -1 ? content.length : endIndex + 1)
+      i += url.length - 1
+
+      buffer += url
+    } else if (character === '{') {
+      const block = { type: 'block', text: collapseWhitespaces(buffer), offset: bufferOffset, children: [] }
+      buffer = ''
+
+      current().children.push(block)
+      stack.push(block)
+    } else if (character === '}') {
+      flush()
+
+      if (stack.length > 1) {
+        stack.pop()
+      }
+    } else if (character === ';') {
+      flush()
+    } else {
+      buffer += character
+    }
+  }
+
+  flush()
+
+  return root.children
+}
+
+/**
+ * Convert single SCSS statement into SASS one.
+ *
+ * @param {string} statement
+ * @returns {string}
+ */
+function convertStatement (statement) {
+  return statement
+    .replace(/^@mixin\s+/, '=')
+    .replace(/^@include\s+/, '+')
+}
+
+/**
+ * Ensure there is whitespace after colon of declaration,
+ * as otherwise in SASS syntax it may be treated as selector (i.e. `padding:0`).
+ *
+ * @param {string} statement
+ * @returns {string}
+ */
+function separateDeclarationValue (statement) {
+  return statement.replace(/^([^@$+=:\s'"][^:\s'"]*):(?=[^\s:])/, '$1: ')
+}
+
+/**
+ * Serialize tree of nodes into lines of SASS code.
+ *
+ * @param {Array<object>} nodes
+ * @param {string} indentation
+ * @param {Array<{ text: string, offset: number }>} output
+ * @returns {Array<{ text: string, offset: number }>}
+ */
+function serialize (nodes, indentation, output) {
+  for (const node of nodes) {
+    if (node.type === 'comment') {
+      output.push({ text: indentation + node.text, offset: node.offset })
+    } else if (node.type === 'multiLineComment') {
+      const lines = node.text.split(/\r?\n/).map(line => line.trim())
+
+      output.push({ text: indentation + lines[0], offset: node.offset })
+
+      for (const line of lines.slice(1)) {
+        if (line) {
+          output.push({ text: indentation + '   ' + line, offset: node.offset })
+        }
+      }
+    } else if (node.type === 'statement') {
+      output.push({ text: indentation + separateDeclarationValue(convertStatement(node.text)), offset: node.offset })
+    } else if (node.children.length) {
+      output.push({ text: indentation + convertStatement(node.text), offset: node.offset })
+      serialize(node.children, indentation + '  ', output)
+    } else if (/^@include\s/.test(node.text)) {
+      // Empty content block for mixin is still mixin inclusion
+      output.push({ text: indentation + convertStatement(node.text), offset: node.offset })
+    }
+  }
+
+  return output
+}
+
+/**
+ * Convert SCSS (or CSS) code into SASS indented syntax.
+ *
+ * @param {string} content
+ * @param {OffsetMap} [offsets]  map of offsets to update
+ * @returns {string}
+ */
+function convertScssToSass (content, offsets) {
+  const lines = serialize(parse(content), '', [])
+
+  // Each line comes from beginning of corresponding SCSS statement
+  if (offsets) {
+    offsets.update(lines.map(line => ({ at: line.offset, length: line.text.length + 1 })))
+  }
+
+  return lines.map(line => line.text).join('\n') + '\n'
+}
+
+module.exports = convertScssToSass
@@ -0,0 +1,41 @@
+/**
+ * Converter between SASS and SCSS syntax, which delegates conversion to custom function.
+ *
+ * @property {string} name
+ * @property {boolean} bundle
+ * @property {boolean} trackOffsets
+ * @property {function(string, string, string): (string|Promise<string>)} fn
+ *
+ * @class
+ */
+class FunctionConverter {
+  /**
+   * @param {function(string, string, string): (string|Promise<string>)} fn
+   *
+   * @constructor
+   */
+  constructor (fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('SassMerge options: custom converter should be a function!')
+    }
+
+    this.name = fn.name || 'function'
+    this.bundle = false
+    this.trackOffsets = false
+    this.fn = fn
+  }
+
+  /**
+   * Convert stylesheet from current to desired format.
+   *
+   * @param {string} content
+   * @param {string} fromFormat
+   * @param {string} toFormat
+   * @returns {string|Promise<string>}
+   */
+  convert (content, fromFormat, toFormat) {
+    return this.fn(content, fromFormat, toFormat)
+  }
+}
+
+module.exports = FunctionConverter
@@ -0,0 +1,41 @@
+const convertSassToScss = require('../convertSassToScss')
+const convertScssToSass = require('../convertScssToSass')
+
+/**
+ * Built-in converter between SASS and SCSS syntax.
+ *
+ * @property {string} name
+ * @property {boolean} bundle
+ * @property {boolean} trackOffsets
+ *
+ * @class
+ */
+class JavaScriptConverter {
+  /**
+   * @constructor
+   */
+  constructor () {
+    this.name = 'javascript'
+    this.bundle = false
+    this.trackOffsets = true
+  }
+
+  /**
+   * Convert stylesheet from current to desired format.
+   *
+   * @param {string} content
+   * @param {string} fromFormat
+   * @param {string} toFormat
+   * @param {OffsetMap} [offsets]  map of offsets to update
+   * @returns {string}
+   */
+  convert (content, fromFormat, toFormat, offsets) {
+    if (fromFormat === toFormat) {
+      return content
+    }
+
+    return toFormat === 'sass' ? convertScssToSass(content, offsets) : convertSassToScss(content, offsets)
+  }
+}
+
+module.exports = JavaScriptConverter
@@ -0,0 +1,98 @@
+const execFile = require('child_process').execFile
+const stream = require('stream')
+
+/**
+ * Converter between SASS and SCSS syntax, which is using `sass-convert` binary from Ruby Sass.
+ *
+ * @property {string} name
+ * @property {boolean} bundle  spawning process is expensive, so all files should be converted at once
+ * @property {boolean} trackOffsets
+ * @property {Promise<string>|null} _version
+ * @property {object} options
+ * @property {string} options.binary
+ * @property {number} options.maxBuffer
+ * @property {string|null} options.encoding
+ *
+ * @class
+ */
+class SassConvertConverter {
+  /**
+   * @param {object} options
+   * @param {string} options.binary
+   * @param {number} [options.maxBuffer]
+   * @param {string} [options.encoding]
+   *
+   * @constructor
+   */
+  constructor (options) {
+    if (!options || !options.binary) {
+      throw new Error('SassMerge options: can\'t find `sass-convert` binary!')
+    }
+
+    this.name = 'sass-convert'
+    this.bundle = true
+    this.trackOffsets = false
+    this._version = null
+    this.options = {
+      binary: options.binary,
+      maxBuffer: options.maxBuffer || 500 * 1024,
+      encoding: options.encoding || null
+    }
+  }
+
+  /**
+   * Convert stylesheet from current to desired format.
+   *
+   * @param {string} content
+   * @param {string} fromFormat
+   * @param {string} toFormat
+   * @returns {Promise<string>}
+   */
+  convert (content, fromFormat, toFormat) {
+    // TODO: add `stop` method which will stop all procedures and kill spawned processes
+    return new Promise((resolve, reject) => {
+      const args = [ '--from', fromFormat, '--to', toFormat, '--stdin' ]
+      const options = { maxBuffer: this.options.maxBuffer }
+
+      if (this.options.encoding) {
+        args.unshift('--default-encoding', this.options.encoding)
+      }
+
+      const child = execFile(this.options.binary, args, options, (error, result) => {
+        if (error) {
+          reject(error)
+        } else {
+          resolve(result)
+        }
+      })
+
+      const rs = new stream.Readable()
+      rs.push(content)
+      rs.push(null)
+      rs.pipe(child.stdin)
+    })
+  }
+
+  /**
+   * Get version of `sass-convert` binary, i.e. to invalidate cache of converted files.
+   *
+   * @returns {Promise<string>}
+   */
+  getVersion () {
+    if (!this._version) {
+      this._version = new Promise((resolve, reject) => {
+        execFile(this.options.binary, [ '--version' ], (error, result) => {
+          if (error) {
+            reject(error)
+          } else {
+            resolve(result.trim())
+          }
+        })
+      })
+    }
+
+    return this._version
+  }
+}
+
+module.exports = SassConvertConverter
@@ -0,0 +1,32 @@
+const SassCompiler = require('./compilers/SassCompiler')
+const FunctionCompiler = require('./compilers/FunctionCompiler')
+
+/**
+ * Create compiler of merged SCSS into CSS, basing on SassMerge options.
+ * Compiler is an object which implements `compile(content, options)` method,
+ * returning CSS or `{ css, map }` object, either synchronously or as a Promise.
+ * To map errors back to original files, thrown error should have either `offset` or `line` (and `column`) properties.
+ *
+ * @param {object} options
+ * @param {string|function|object} options.compiler  'sass', function or compiler object
+ * @returns {{ compile: function(string, object): (string|{ css: string, map: object|null }|Promise) }}
+ */
+function createCompiler (options) {
+  const compiler = options.compiler
+
+  if (compiler === 'sass') {
+    return new SassCompiler()
+  }
+
+  if (typeof compiler === 'function') {
+    return new FunctionCompiler(compiler)
+  }
+
+  if (compiler && typeof compiler === 'object' && typeof compiler.compile === 'function') {
+    return compiler
+  }
+
+  throw new Error('SassMerge options: `compiler` should be either `sass`, function or object with `compile` method')
+}
+
+module.exports = createCompiler
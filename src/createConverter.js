@@ -0,0 +1,40 @@
+const JavaScriptConverter = require('./converters/JavaScriptConverter')
+const SassConvertConverter = require('./converters/SassConvertConverter')
+const FunctionConverter = require('./converters/FunctionConverter')
+
+/**
+ * Create converter between SASS and SCSS syntax, basing on SassMerge options.
+ * Converter is an object which implements `convert(content, fromFormat, toFormat)` method,
+ * returning converted code either synchronously or as a Promise.
+ * When converter has `trackOffsets` flag, it will get also OffsetMap to update as fourth argument.
+ *
+ * @param {object} options
+ * @param {string|function|object} options.converter  'javascript', 'sass-convert', function or converter object
+ * @param {string} [options.binary]
+ * @param {number} [options.maxBuffer]
+ * @param {string} [options.encoding]
+ * @returns {{ convert: function(string, string, string, OffsetMap=): (string|Promise<string>), bundle: boolean, trackOffsets: boolean }}
+ */
+function createConverter (options) {
+  const converter = options.converter
+
+  if (converter === 'javascript') {
+    return new JavaScriptConverter()
+  }
+
+  if (converter === 'sass-convert') {
+    return new SassConvertConverter(options)
+  }
+
+  if (typeof converter === 'function') {
+    return new FunctionConverter(converter)
+  }
+
+  if (converter && typeof converter === 'object' && typeof converter.convert === 'function') {
+    return converter
+  }
+
+  throw new Error('SassMerge options: `converter` should be either `javascript`, `sass-convert`, function or object with `convert` method')
+}
+
+module.exports = createConverter
@@ -0,0 +1,38 @@
+/**
+ * Create function which runs asynchronous tasks with limited number of them running at once.
+ *
+ * @param {number} concurrency  maximum number of tasks running at once
+ * @returns {function(function(): Promise<*>): Promise<*>}
+ */
+function createLimiter (concurrency) {
+  const queue = []
+  let running = 0
+
+  // Start next queued task, when there is free slot
+  function next () {
+    if (running >= concurrency || !queue.length) {
+      return
+    }
+
+    const { task, resolve, reject } = queue.shift()
+
+    running++
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .then(() => {
+        running--
+        next()
+      })
+  }
+
+  return function limit (task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject })
+      next()
+    })
+  }
+}
+
+module.exports = createLimiter
@@ -0,0 +1,176 @@
+const base64Characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Encode number as Base64 VLQ, as used in Source Map v3 mappings.
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function encodeVlq (value) {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1
+  let result = ''
+
+  do {
+    let digit = vlq & 31
+    vlq >>>= 5
+
+    if (vlq > 0) {
+      digit |= 32
+    }
+
+    result += base64Characters[digit]
+  } while (vlq > 0)
+
+  return result
+}
+
+/**
+ * Find offsets of all lines in code.
+ *
+ * @param {string} code
+ * @returns {number[]}
+ */
+function findLineOffsets (code) {
+  const offsets = [ 0 ]
+  const regex = /\r\n?|\n/g
+
+  while (regex.exec(code)) {
+    offsets.push(regex.lastIndex)
+  }
+
+  return offsets
+}
+
+/**
+ * Convert offset in code into line and column (both zero-based).
+ *
+ * @param {number[]} lineOffsets
+ * @param {number} offset
+ * @returns {{ line: number, column: number }}
+ */
+function getPosition (lineOffsets, offset) {
+  let min = 0
+  let max = lineOffsets.length - 1
+
+  while (min < max) {
+    const middle = (min + max + 1) >> 1
+
+    if (lineOffsets[middle] <= offset) {
+      min = middle
+    } else {
+      max = middle - 1
+    }
+  }
+
+  return { line: min, column: offset - lineOffsets[min] }
+}
+
+/**
+ * Build Source Map v3 for generated code.
+ *
+ * @param {string} code  generated code
+ * @param {OffsetMap} offsets  map of generated code offsets to sources
+ * @param {object} sources  map of original code of files, filePath => code
+ * @param {string} [file]  name of generated file
+ * @returns {{ version: number, file: string, sources: string[], sourcesContent: string[], names: string[], mappings: string }}
+ */
+function createSourceMap (code, offsets, sources, file) {
+  const sourceIndexes = {}
+  const sourceList = []
+  const sourceLineOffsets = []
+
+  const generatedLineOffsets = findLineOffsets(code)
+  const lines = generatedLineOffsets.map(() => [])
+
+  // Collect mapping for specified offset in generated code
+  function addMapping (generatedOffset, source, originalOffset) {
+    if (source == null || sources[source] == null) {
+      return
+    }
+
+    if (sourceIndexes[source] == null) {
+      sourceIndexes[source] = sourceList.length
+      sourceList.push(source)
+      sourceLineOffsets.push(findLineOffsets(sources[source]))
+    }
+
+    const generated = getPosition(generatedLineOffsets, generatedOffset)
+    const original = getPosition(sourceLineOffsets[sourceIndexes[source]], originalOffset)
+
+    lines[generated.line].push([ generated.column, sourceIndexes[source], original.line, original.column ])
+  }
+
+  const segments = offsets.segments
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i]
+    const end = Math.min(segments[i + 1] ? segments[i + 1].generated : code.length, code.length)
+
+    if (segment.generated >= code.length) {
+      break
+    }
+
+    addMapping(segment.generated, segment.source, segment.original)
+
+    // Add mappings for each line which starts inside segment
+    const startLine = getPosition(generatedLineOffsets, segment.generated).line
+
+    for (let line = startLine + 1; line < generatedLineOffsets.length && generatedLineOffsets[line] < end; line++) {
+      const offset = generatedLineOffsets[line]
+      const originalOffset = segment.linear ? segment.original + offset - segment.generated : segment.original
+
+      addMapping(offset, segment.source, originalOffset)
+    }
+  }
+
+  return serializeSourceMap(lines, sourceList, sources, file)
+}
+
+/**
+ * Serialize mappings into Source Map v3.
+ *
+ * @param {Array<Array<number[]>>} lines  mappings for each generated line: [ generatedColumn, sourceIndex, line, column ]
+ * @param {string[]} sourceList
+ * @param {object} sources  map of original code of files, filePath => code
+ * @param {string} [file]  name of generated file
+ * @returns {{ version: number, file: string, sources: string[], sourcesContent: string[], names: string[], mappings: string }}
+ */
+function serializeSourceMap (lines, sourceList, sources, file) {
+  // Encode mappings, where each value is relative to previous one
+  let previousSource = 0
+  let previousLine = 0
+  let previousColumn = 0
+
+  const mappings = lines.map(mappings => {
+    let previousGeneratedColumn = 0
+
+    return mappings.map(([ generatedColumn, source, line, column ]) => {
+      const result = encodeVlq(generatedColumn - previousGeneratedColumn) +
+        encodeVlq(source - previousSource) +
+        encodeVlq(line - previousLine) +
+        encodeVlq(column - previousColumn)
+
+      previousGeneratedColumn = generatedColumn
+      previousSource = source
+      previousLine = line
+      previousColumn = column
+
+      return result
+    }).join(',')
+  }).join(';')
+
+  return {
+    version: 3,
+    file: file || '',
+    sources: sourceList,
+    sourcesContent: sourceList.map(source => sources[source]),
+    names: [],
+    mappings: mappings
+  }
+}
+
+createSourceMap.findLineOffsets = findLineOffsets
+createSourceMap.getPosition = getPosition
+createSourceMap.serializeSourceMap = serializeSourceMap
+
+module.exports = createSourceMap
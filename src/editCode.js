@@ -0,0 +1,37 @@
+/**
+ * Replace specified parts of code and keep track of offsets, if map is passed.
+ * Overlapping edits are ignored (the first one wins).
+ * Edit may contain map of offsets for its value, when it comes from other code.
+ *
+ * @param {string} code
+ * @param {Array<{ start: number, end: number, value: string, map: OffsetMap }>} edits
+ * @param {OffsetMap} [offsets]  map which should be updated
+ * @returns {string}
+ */
+function editCode (code, edits, offsets) {
+  const sortedEdits = edits.slice().sort((a, b) => a.start - b.start)
+  const replacements = []
+
+  let result = ''
+  let lastIndex = 0
+
+  for (const edit of sortedEdits) {
+    if (edit.start < lastIndex) {
+      continue
+    }
+
+    result += code.substring(lastIndex, edit.start) + edit.value
+    replacements.push({ start: edit.start, end: edit.end, length: edit.value.length, map: edit.map || null })
+    lastIndex = edit.end
+  }
+
+  result += code.substr(lastIndex)
+
+  if (offsets && replacements.length) {
+    offsets.replace(replacements)
+  }
+
+  return result
+}
+
+module.exports = editCode
@@ -0,0 +1,32 @@
+/**
+ * Find entry points which are using (directly or indirectly) any of specified files.
+ *
+ * @param {{ entries: object, edges: Array<{ from: string, to: string }> }} graph
+ * @param {string[]} filePaths
+ * @returns {string[]}  names of entry points, in their order
+ */
+function findAffectedEntries (graph, filePaths) {
+  // Collect all files which are depending on changed files
+  const affected = {}
+  const queue = filePaths.slice()
+
+  while (queue.length) {
+    const filePath = queue.shift()
+
+    if (affected[filePath]) {
+      continue
+    }
+
+    affected[filePath] = true
+
+    for (const edge of graph.edges) {
+      if (edge.to === filePath && !affected[edge.from]) {
+        queue.push(edge.from)
+      }
+    }
+  }
+
+  return Object.keys(graph.entries).filter(entry => affected[graph.entries[entry]])
+}
+
+module.exports = findAffectedEntries
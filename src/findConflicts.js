@@ -0,0 +1,91 @@
+const findSymbols = require('./findSymbols')
+const getLineNumber = require('./getLineNumber')
+
+/**
+ * Get code of declaration, without differences which are not changing it (whitespaces, brackets and semicolons).
+ *
+ * @param {string} code
+ * @param {object} declaration
+ * @returns {string}
+ */
+function getComparableCode (code, declaration) {
+  const text = declaration.kind === 'variable'
+    ? declaration.node.value
+    : code.substring(declaration.node.start, declaration.end)
+
+  return text.replace(/[\s;{}]+/g, '')
+}
+
+/**
+ * Find top-level declarations of file, which may conflict with other files:
+ * mixins, functions, placeholders and variables without `!default` flag.
+ *
+ * @param {{ path: string, source: string, format: string }} file
+ * @returns {Array<{ kind: string, name: string, file: string, line: number, code: string }>}
+ */
+function findFileDeclarations (file) {
+  return findSymbols(file.source, file.format).declarations
+    .filter(declaration => !declaration.scope.parent && declaration.parent.type === 'stylesheet')
+    .filter(declaration => declaration.kind !== 'variable' || !declaration.node.default)
+    .map(declaration => ({
+      kind: declaration.kind,
+      name: declaration.name,
+      file: file.path,
+      line: getLineNumber(file.source, declaration.node.start),
+      code: getComparableCode(file.source, declaration)
+    }))
+}
+
+/**
+ * Find mixins, functions, placeholders and global variables, which are declared differently in separate files.
+ * Each group contains files which are sharing the same namespace (i.e. entry point and files imported by `@import`).
+ * Declarations of file may be passed already, otherwise they are found in its source.
+ *
+ * @param {Array<Array<{ path: string, source: string, format: string, declarations: Array|undefined }>>} groups
+ * @returns {Array<{ kind: string, name: string, previous: { file: string, line: number }, current: { file: string, line: number } }>}
+ */
+function findConflicts (groups) {
+  const declarationsByFile = {}
+  const conflicts = []
+  const reported = {}
+
+  for (const files of groups) {
+    const declared = {}
+
+    for (const file of files) {
+      if (!declarationsByFile[file.path]) {
+        declarationsByFile[file.path] = file.declarations || findFileDeclarations(file)
+      }
+
+      for (const declaration of declarationsByFile[file.path]) {
+        const key = declaration.kind + ':' + declaration.name
+        const previous = declared[key]
+
+        declared[key] = declaration
+
+        if (!previous || previous.file === declaration.file || previous.code === declaration.code) {
+          continue
+        }
+
+        const id = [ key, previous.file, previous.line, declaration.file, declaration.line ].join(':')
+
+        if (!reported[id]) {
+          reported[id] = true
+
+          conflicts.push({
+            kind: declaration.kind,
+            name: declaration.name,
+            previous: { file: previous.file, line: previous.line },
+            current: { file: declaration.file, line: declaration.line }
+          })
+        }
+      }
+    }
+  }
+
+  return conflicts
+}
+
+findConflicts.findFileDeclarations = findFileDeclarations
+
+module.exports = findConflicts
@@ -0,0 +1,131 @@
+const fs = require('fs')
+const path = require('path')
+const micromatch = require('micromatch')
+
+/**
+ * Check if path segment contains glob pattern.
+ *
+ * @param {string} segment
+ * @returns {boolean}
+ */
+function isGlob (segment) {
+  return /[*?[\]{}]|[!@+]\(/.test(segment)
+}
+
+/**
+ * Split glob pattern into static base directory and pattern relative to it.
+ *
+ * @param {string} pattern  i.e. `components/**\/*`
+ * @returns {{ base: string, pattern: string }}  i.e. { base: 'components', pattern: '**\/*' }
+ */
+function splitGlob (pattern) {
+  const segments = pattern.replace(/\\/g, '/').split('/')
+  const index = segments.findIndex(isGlob)
+
+  return {
+    base: segments.slice(0, index).join('/'),
+    pattern: segments.slice(index).join('/')
+  }
+}
+
+/**
+ * List all files inside of directory.
+ *
+ * @param {string} directory
+ * @param {boolean} recursive
+ * @returns {Promise<string[]>}  paths relative to directory, with `/` as separator
+ */
+async function listFiles (directory, recursive) {
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true })
+  const result = []
+
+  for (const entry of entries) {
+    if (entry.isFile()) {
+      result.push(entry.name)
+    } else if (recursive && entry.isDirectory()) {
+      const children = await listFiles(path.join(directory, entry.name), recursive)
+      result.push(...children.map(fileName => entry.name + '/' + fileName))
+    }
+  }
+
+  return result
+}
+
+/**
+ * Find nearest existing directory, which may contain base directory of glob pattern,
+ * to watch for it being created later.
+ *
+ * @param {string} pattern
+ * @param {string} directory  directory which pattern is relative to
+ * @returns {Promise<string>}
+ */
+async function findNearestDirectory (pattern, directory) {
+  let current = path.resolve(directory, splitGlob(pattern).base)
+
+  while (true) {
+    try {
+      if ((await fs.promises.stat(current)).isDirectory()) {
+        return current
+      }
+    } catch (error) {}
+
+    const parent = path.dirname(current)
+
+    if (parent === current) {
+      return current
+    }
+
+    current = parent
+  }
+}
+
+/**
+ * Find stylesheets matching glob pattern, i.e. `components/**\/*`.
+ * Like in regular imports, extension and partial prefix may be omitted in pattern.
+ *
+ * @param {string} pattern
+ * @param {string} directory  directory which pattern is relative to
+ * @param {string[]} extensions  extensions of stylesheets
+ * @returns {Promise<{ directory: string, filePaths: string[] }|null>}  base directory and sorted file paths; null when it doesn't exist
+ */
+async function findGlobFiles (pattern, directory, extensions) {
+  const glob = splitGlob(pattern)
+  const base = path.resolve(directory, glob.base)
+
+  let fileNames
+
+  try {
+    fileNames = await listFiles(base, glob.pattern.indexOf('/') !== -1 || glob.pattern.indexOf('**') !== -1)
+  } catch (error) {
+    return null
+  }
+
+  const isMatch = micromatch.matcher(glob.pattern)
+
+  const matches = []
+
+  for (const fileName of fileNames) {
+    const extension = path.extname(fileName)
+    const withoutExtension = fileName.substr(0, fileName.length - extension.length)
+    const withoutPartial = withoutExtension.replace(/(^|\/)_([^/]*)$/, '$1$2')
+
+    if (extensions.indexOf(extension) !== -1 && (isMatch(fileName) || isMatch(withoutExtension) || isMatch(withoutPartial))) {
+      matches.push({ fileName, key: withoutPartial + extension })
+    }
+  }
+
+  // Sort files by their names (without partial prefix), so order doesn't depend on file system
+  const filePaths = matches
+    .sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : a.fileName < b.fileName ? -1 : 1)
+    .map(match => path.join(base, match.fileName))
+
+  return {
+    directory: base,
+    filePaths: filePaths
+  }
+}
+
+findGlobFiles.isGlob = isGlob
+findGlobFiles.findNearestDirectory = findNearestDirectory
+
+module.exports = findGlobFiles
@@ -0,0 +1,49 @@
+/**
+ * Find all import chains from entry points to specified file, using dependency graph.
+ * Each chain is a list of edges, starting in entry point and ending in specified file;
+ * it's empty, when file is entry point itself.
+ *
+ * @param {{ entries: object, edges: Array<{ from: string, to: string }> }} graph
+ * @param {string} filePath
+ * @returns {Array<{ entry: string, chain: object[] }>}
+ */
+function findImportChains (graph, filePath) {
+  const result = []
+
+  // Group edges by file they start in, so each step doesn't have to scan the whole graph
+  const edgesFrom = {}
+
+  for (const edge of graph.edges) {
+    if (!edgesFrom[edge.from]) {
+      edgesFrom[edge.from] = []
+    }
+
+    edgesFrom[edge.from].push(edge)
+  }
+
+  function visit (entry, current, chain, visited) {
+    if (current === filePath) {
+      result.push({ entry: entry, chain: chain.slice() })
+      return
+    }
+
+    for (const edge of edgesFrom[current] || []) {
+      // Skip circular dependencies
+      if (!visited.has(edge.to)) {
+        visited.add(edge.to)
+        chain.push(edge)
+        visit(entry, edge.to, chain, visited)
+        chain.pop()
+        visited.delete(edge.to)
+      }
+    }
+  }
+
+  for (const entry of Object.keys(graph.entries)) {
+    visit(entry, graph.entries[entry], [], new Set([ graph.entries[entry] ]))
+  }
+
+  return result
+}
+
+module.exports = findImportChains
@@ -0,0 +1,371 @@
+const parse = require('./parser/parse')
+const walk = require('./parser/walk')
+const tokenizeStylesheet = require('./parser/tokenizeStylesheet')
+
+// At-rules which are not creating scope for variables (their variables are assigned to outer scope)
+const flowControlRules = [ 'if', 'else', 'each', 'for', 'while' ]
+
+// Built-in functions which are referencing members by their names, i.e. `get-function("name")`
+const dynamicReferences = {
+  'get-function': 'function',
+  'function-exists': 'function',
+  'mixin-exists': 'mixin',
+  'get-mixin': 'mixin',
+  'variable-exists': 'variable',
+  'global-variable-exists': 'variable'
+}
+
+/**
+ * Normalize member name, as in Sass hyphens and underscores are considered identical.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName (name) {
+  return name.replace(/_/g, '-')
+}
+
+/**
+ * Find names (with offsets) of local variables declared by block clause,
+ * i.e. mixin arguments, `@include ... using (...)` arguments or loop variables.
+ *
+ * @param {object} node
+ * @returns {Array<{ name: string, start: number }>}
+ */
+function findLocalVariables (node) {
+  let start = -1
+
+  if (node.name === 'mixin' || node.name === 'function') {
+    start = node.params.indexOf('(')
+  } else if (node.name === 'include') {
+    const match = node.params.match(/\busing\s*\(/)
+    start = match ? match.index + match[0].length - 1 : -1
+  } else if (node.name === 'each' || node.name === 'for') {
+    const header = node.name === 'each' ? node.params.split(/\s+in\s+/)[0] : (node.params.match(/^\s*\$[\w-]+/) || [ '' ])[0]
+    const result = []
+    const regex = /\$([\w-]+)/g
+    let match
+
+    while ((match = regex.exec(header))) {
+      result.push({ name: normalizeName(match[1]), start: node.paramsStart + match.index })
+    }
+
+    return result
+  }
+
+  if (start === -1) {
+    return []
+  }
+
+  // Split arguments, to get only their names (without default values)
+  const text = node.params
+  const result = []
+  let depth = 0
+  let expectName = true
+
+  for (let i = start + 1; i < text.length; i++) {
+    const character = text[i]
+
+    if (character === '(' || character === '[') {
+      depth++
+    } else if (character === ')' || character === ']') {
+      if (--depth < 0) {
+        break
+      }
+    } else if (character === ',' && depth === 0) {
+      expectName = true
+    } else if (expectName && character === '$') {
+      const name = text.substr(i + 1).match(/^[\w-]*/)[0]
+      result.push({ name: normalizeName(name), start: node.paramsStart + i })
+      expectName = false
+    } else if (!/\s/.test(character)) {
+      expectName = false
+    }
+  }
+
+  return result
+}
+
+/**
+ * Find declarations and references of variables, mixins, functions and placeholders in stylesheet.
+ *
+ * Each scope is a block which may have its own variables (flow control rules are not creating scopes).
+ * Names are normalized (hyphens and underscores are identical), and they are without `$` and `%` prefix.
+ * Namespaced references (i.e. `math.div()`) are skipped, as they are pointing to built-in modules.
+ * When member is referenced by name which is not a string literal (i.e. `get-function($name)`), `dynamic` flag is set.
+ *
+ * @param {string} code
+ * @param {string} format
+ * @returns {{
+ *   scopes: Array<{ node: object, parent: object|null, start: number, end: number, locals: string[] }>,
+ *   declarations: Array<{ kind: string, name: string, node: object, parent: object, scope: object, start: number, end: number }>,
+ *   references: Array<{ kind: string, name: string, start: number, scope: object }>,
+ *   dynamic: boolean
+ * }}
+ */
+function findSymbols (code, format) {
+  const root = parse(code, format)
+  const rootScope = { node: root, parent: null, start: 0, end: code.length, locals: [] }
+  const scopes = [ rootScope ]
+  const scopeByNode = new Map([ [ root, rootScope ] ])
+  const declarations = []
+  const references = []
+  const excluded = {}
+  const shorthands = {}
+  const selectors = []
+
+  // Find the innermost scope containing offset (scopes are nested, so it's the one starting last)
+  const findScope = offset => {
+    let result = rootScope
+
+    for (const scope of scopes) {
+      if (scope.start <= offset && scope.end > offset && scope.start >= result.start) {
+        result = scope
+      }
+    }
+
+    return result
+  }
+
+  walk(root, (node, parent, ancestors) => {
+    // Find nearest scope of node
+    let scope = rootScope
+
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      if (scopeByNode.has(ancestors[i])) {
+        scope = scopeByNode.get(ancestors[i])
+        break
+      }
+    }
+
+    if (node.type === 'atrule' && node.shorthand) {
+      shorthands[node.start] = node.name
+    }
+
+    // Remember selectors, to distinguish pseudo-classes from function calls (i.e. `a:not(...)` and `width:fn(...)`)
+    if (node.type === 'rule') {
+      selectors.push({ start: node.start, end: node.blockStart })
+    }
+
+    if (node.type === 'variable' && /^\$[\w-]+$/.test(node.name)) {
+      excluded[node.start] = true
+      declarations.push({
+        kind: 'variable',
+        name: normalizeName(node.name.substr(1)),
+        node: node,
+        parent: parent,
+        scope: node.global ? rootScope : scope,
+        start: node.start - node.indentation.length,
+        end: node.end
+      })
+    } else if (node.type === 'atrule' && (node.name === 'mixin' || node.name === 'function')) {
+      const name = node.params.match(/^[\w-]+/)
+
+      if (name) {
+        declarations.push({
+          kind: node.name,
+          name: normalizeName(name[0]),
+          node: node,
+          parent: parent,
+          scope: scope,
+          start: node.start - node.indentation.length,
+          end: node.end
+        })
+      }
+    } else if (node.type === 'rule' && /^%[\w-]+$/.test(node.selector.trim())) {
+      declarations.push({
+        kind: 'placeholder',
+        name: normalizeName(node.selector.trim().substr(1)),
+        node: node,
+        parent: parent,
+        scope: scope,
+        start: node.start - node.indentation.length,
+        end: node.end
+      })
+    } else if (node.type === 'atrule' && node.name === 'extend') {
+      const regex = /%([\w-]+)/g
+      let match
+
+      while ((match = regex.exec(node.params))) {
+        references.push({ kind: 'placeholder', name: normalizeName(match[1]), start: node.paramsStart + match.index, scope: scope })
+      }
+    }
+
+    // Blocks (except of flow control) are creating scopes for variables
+    if (node.children && !(node.type === 'atrule' && flowControlRules.indexOf(node.name) !== -1)) {
+      const locals = node.type === 'atrule' ? findLocalVariables(node) : []
+
+      for (const local of locals) {
+        excluded[local.start] = true
+      }
+
+      const childScope = {
+        node: node,
+        parent: scope,
+        start: node.blockStart != null ? node.blockStart : node.start,
+        end: node.end,
+        locals: locals.map(local => local.name)
+      }
+
+      scopes.push(childScope)
+      scopeByNode.set(node, childScope)
+    } else if (node.children && node.type === 'atrule') {
+      // Loop variables are local to the loop
+      const locals = findLocalVariables(node)
+
+      if (locals.length) {
+        for (const local of locals) {
+          excluded[local.start] = true
+        }
+
+        const childScope = {
+          node: node,
+          parent: scope,
+          start: node.blockStart != null ? node.blockStart : node.start,
+          end: node.end,
+          locals: locals.map(local => local.name),
+          flow: true
+        }
+
+        scopes.push(childScope)
+      }
+    }
+  })
+
+  const addReference = (kind, name, start) => {
+    references.push({ kind: kind, name: normalizeName(name), start: start, scope: findScope(start) })
+  }
+
+  // Call preceded by minus sign (i.e. `-fn(...)`) may be negation as well, so both names are considered as used
+  const addCall = (name, start) => {
+    addReference('function', name, start)
+
+    if (/^-[^-]/.test(name)) {
+      addReference('function', name.substr(1), start + 1)
+    }
+  }
+
+  // Find references inside of expression (i.e. interpolation)
+  const addInExpression = (text, offset) => {
+    const regex = /(?<![\w\\$.%])(\$)?([a-zA-Z_-][\w-]*)(\()?/g
+    let match
+
+    while ((match = regex.exec(text))) {
+      if (match[1]) {
+        addReference('variable', match[2], offset + match.index)
+      } else if (match[3] && text[match.index - 1] !== ':') {
+        addCall(match[2], offset + match.index)
+      }
+    }
+  }
+
+  const tokens = tokenizeStylesheet(code, format)
+  const isMeaningful = token => token.type !== 'space' && token.type !== 'comment' && token.type !== 'lineComment'
+
+  const findNext = index => {
+    for (let i = index + 1; i < tokens.length; i++) {
+      if (isMeaningful(tokens[i])) {
+        return tokens[i]
+      }
+    }
+
+    return null
+  }
+
+  // Remember for each open bracket if it's argument list (i.e. `fn(`), or i.e. map (`(key: value)`)
+  let brackets = []
+  let previous = null
+  let dynamic = false
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+
+    if (token.type === '(') {
+      brackets.push(i > 0 && tokens[i - 1].type === 'word')
+    } else if (token.type === ')') {
+      brackets.pop()
+    } else if (token.type === '{' || token.type === '}' || token.type === ';') {
+      brackets = []
+    }
+
+    if (token.type === 'interpolation') {
+      addInExpression(token.value, token.start)
+    } else if (token.type === 'string' || token.type === 'url') {
+      const regex = /#\{/g
+      let match
+
+      while ((match = regex.exec(token.value))) {
+        addInExpression(token.value.substr(match.index), token.start + match.index)
+      }
+    } else if (token.type === 'word') {
+      const declaring = previous && previous.type === 'word' && /^(@mixin|@function|=)$/i.test(previous.value)
+      const including = previous && previous.type === 'word' && /^@include$/i.test(previous.value)
+      const shorthand = shorthands[token.start] && token.value.length > 1 ? shorthands[token.start] : null
+
+      if (including || shorthand === 'include') {
+        const offset = shorthand ? 1 : 0
+        const match = token.value.substr(offset).match(/^[a-zA-Z_-][\w-]*/)
+
+        if (match) {
+          addReference('mixin', match[0], token.start + offset)
+        }
+      } else if (!declaring && !shorthand) {
+        const regex = /(?<![\w\\$.])\$([a-zA-Z_-][\w-]*)/g
+        let match
+
+        while ((match = regex.exec(token.value))) {
+          // Ignore keyword arguments, i.e. `$name` in `fn($name: value)`
+          const isKeyword = brackets[brackets.length - 1] === true && match[0].length === token.value.length && findNext(i) && findNext(i).type === ':'
+
+          if (!isKeyword && !excluded[token.start + match.index]) {
+            addReference('variable', match[1], token.start + match.index)
+          }
+        }
+
+        // Function calls
+        const next = tokens[i + 1]
+        const isPseudoClass = previous && previous.type === ':' && previous.end === token.start &&
+          selectors.some(selector => selector.start <= token.start && selector.end > token.start)
+
+        if (next && next.type === '(' && !isPseudoClass) {
+          const call = token.value.match(/(?<![\w\\$.-])(?:[\w-]+\.)?([a-zA-Z_-][\w-]*)$/)
+
+          if (call) {
+            const name = normalizeName(call[1])
+
+            // Namespaced functions are built-in, but they still may reference members by name, i.e. `meta.get-function("name")`
+            if (call[0].indexOf('.') === -1) {
+              addCall(name, token.start + call.index)
+            }
+
+            // Members referenced by name, i.e. `get-function("name")`
+            if (dynamicReferences[name]) {
+              const argument = findNext(i + 1)
+
+              if (argument && argument.type === 'string') {
+                addReference(dynamicReferences[name], argument.value.slice(1, -1), argument.start)
+              } else {
+                dynamic = true
+              }
+            }
+          }
+        }
+      }
+    }
+
+    if (isMeaningful(token)) {
+      previous = token
+    }
+  }
+
+  return {
+    scopes: scopes,
+    declarations: declarations,
+    references: references,
+    dynamic: dynamic
+  }
+}
+
+findSymbols.normalizeName = normalizeName
+
+module.exports = findSymbols
@@ -0,0 +1,51 @@
+const findSymbols = require('./findSymbols')
+
+/**
+ * Get name of declared member as it's written in code, i.e. `$font_size`, `%button` or `rounded`.
+ *
+ * @param {object} declaration
+ * @returns {string}
+ */
+function getWrittenName (declaration) {
+  const node = declaration.node
+
+  if (declaration.kind === 'variable') {
+    return node.name
+  }
+
+  if (declaration.kind === 'placeholder') {
+    return node.selector.trim()
+  }
+
+  return node.params.match(/^[\w-]+/)[0]
+}
+
+/**
+ * Find mixins, functions, placeholders and variables which are declared, but never referenced in stylesheet.
+ * When members are referenced by name computed in runtime (i.e. `get-function($name)`),
+ * only placeholders are reported, as it's not possible to detect other references.
+ *
+ * @param {string} code
+ * @param {string} format
+ * @returns {Array<{ kind: string, name: string, start: number, end: number }>}  names are as written in code, i.e. `$size` or `%button`
+ */
+function findUnusedDeclarations (code, format) {
+  const { declarations, references, dynamic } = findSymbols(code, format)
+  const referenced = {}
+
+  for (const reference of references) {
+    referenced[reference.kind + ':' + reference.name] = true
+  }
+
+  return declarations
+    .filter(declaration => !referenced[declaration.kind + ':' + declaration.name])
+    .filter(declaration => !dynamic || declaration.kind === 'placeholder')
+    .map(declaration => ({
+      kind: declaration.kind,
+      name: getWrittenName(declaration),
+      start: declaration.start,
+      end: declaration.end
+    }))
+}
+
+module.exports = findUnusedDeclarations
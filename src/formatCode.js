@@ -0,0 +1,200 @@
+const editCode = require('./editCode')
+const parse = require('./parser/parse')
+const tokenizeStylesheet = require('./parser/tokenizeStylesheet')
+const removeUnnecessaryWhitespaces = require('./removeUnnecessaryWhitespaces')
+
+const { findStatements, buildIndentation } = removeUnnecessaryWhitespaces
+
+// Whitespaces after and before these tokens are never needed inside of statement
+const noSpaceAfter = [ '(', '[' ]
+const noSpaceBefore = [ ';', ',', ')', ']' ]
+
+/**
+ * Check if token is a comment.
+ *
+ * @param {object} token
+ * @returns {boolean}
+ */
+function isComment (token) {
+  return token.type === 'comment' || token.type === 'lineComment'
+}
+
+/**
+ * Check if colon inside of statement is separating name and value (of declaration, variable, map or argument).
+ * Only first colon of declaration is used, as value may contain colons as well (i.e. `progid:...`).
+ *
+ * @param {object|null} statement
+ * @param {number} depth  depth of parentheses
+ * @param {number} colons  number of colons met already outside of parentheses
+ * @returns {boolean}
+ */
+function isSeparatingColon (statement, depth, colons) {
+  if (!statement || statement.selector) {
+    return false
+  }
+
+  return depth > 0 || (statement.node.type !== 'atrule' && colons === 0)
+}
+
+/**
+ * Format code in readable way, with consistent indentation and one statement per line.
+ * Strings, `url()`s and interpolations are never changed, as only whitespaces between tokens are replaced:
+ *
+ * - `expanded` style puts each statement and closing bracket in separate line and splits top-level blocks with blank line,
+ * - `compact` style puts statements of block in the same line, unless they are blocks as well (SCSS syntax only).
+ *
+ * @param {string} code
+ * @param {string} format
+ * @param {string} style  either "expanded" or "compact"
+ * @param {OffsetMap} [offsets]  map of offsets to update
+ * @param {string} [indentationUnit]  indentation of each nesting level
+ * @returns {string}
+ */
+function formatCode (code, format, style, offsets, indentationUnit = '  ') {
+  const root = parse(code, format)
+  const tokens = tokenizeStylesheet(code, format).filter(token => token.type !== 'space')
+  const statements = findStatements(code, root)
+  const indentation = buildIndentation(root, indentationUnit)
+  const headers = {}
+  const edits = []
+
+  for (const statement of statements) {
+    headers[statement.start] = statement.header
+  }
+
+  let statementIndex = 0
+  let depth = 0
+  let colons = 0
+  let level = 0
+  let lastIndentation = ''
+  let previous = null
+
+  /**
+   * Get whitespace which should be placed before token.
+   *
+   * @param {object} token
+   * @param {object|null} statement  statement containing token
+   * @param {string} gap  current whitespace before token
+   * @returns {string}
+   */
+  function getWhitespace (token, statement, gap) {
+    const isLineBreak = /[\r\n]/.test(gap)
+    const isNodeStart = indentation[token.start] != null
+
+    if (format === 'sass') {
+      if (isNodeStart && isLineBreak) {
+        // Blocks on top level are split with blank line
+        const isBlank = style === 'expanded' && indentation[token.start] === '' &&
+          ((headers[token.start] && !isComment(previous)) || lastIndentation !== '')
+
+        return (isBlank ? '\n\n' : '\n') + indentation[token.start]
+      }
+
+      // Single-line comment has to be finished with line break
+      if (previous.type === 'lineComment') {
+        return gap
+      }
+    } else if (token.type === '}') {
+      const isInline = style === 'compact' && [ '}', 'lineComment' ].indexOf(previous.type) === -1
+
+      // Last statement of block is finished with semicolon as well
+      const semicolon = [ '{', '}', ';' ].indexOf(previous.type) === -1 && !isComment(previous) ? ';' : ''
+
+      return previous.type === '{' ? '' : semicolon + (isInline ? ' ' : '\n' + indentationUnit.repeat(level))
+    } else if (token.type === 'word' && previous.type === '}' && /^@else(?![\w-])/.test(token.value)) {
+      return ' '
+    } else if (isNodeStart) {
+      // Comment placed after statement in the same line is describing it
+      if (token.type === 'comment' && !isLineBreak && [ '{', '}', 'lineComment' ].indexOf(previous.type) === -1) {
+        return ' '
+      }
+
+      if (style === 'compact' && level > 0 && !headers[token.start] && [ '}', 'lineComment' ].indexOf(previous.type) === -1) {
+        return ' '
+      }
+
+      const isBlank = style === 'expanded' && level === 0 && ((headers[token.start] && !isComment(previous)) || previous.type === '}')
+
+      return (isBlank ? '\n\n' : '\n') + indentationUnit.repeat(level)
+    } else if (previous.type === 'lineComment') {
+      return '\n' + indentationUnit.repeat(level + 1)
+    } else if (token.type === '{') {
+      return ' '
+    }
+
+    if (noSpaceBefore.indexOf(token.type) !== -1 || noSpaceAfter.indexOf(previous.type) !== -1) {
+      return ''
+    } else if (token.type === ':' && isSeparatingColon(statement, depth, colons)) {
+      return ''
+    } else if (previous.type === ':' && isSeparatingColon(statement, depth, colons - (depth === 0 ? 1 : 0))) {
+      return ' '
+    } else if (previous.type === ',') {
+      // Each selector of the list is placed in separate line
+      const isSelectorList = style === 'expanded' && format === 'scss' && depth === 0 && statement && statement.node.type === 'rule'
+
+      return isSelectorList ? '\n' + indentationUnit.repeat(level) : ' '
+    }
+
+    return gap ? ' ' : ''
+  }
+
+  for (const token of tokens) {
+    // Find statement containing token (both lists are sorted)
+    while (statementIndex < statements.length && statements[statementIndex].end <= token.start) {
+      statementIndex++
+      depth = 0
+      colons = 0
+    }
+
+    const statement = statements[statementIndex] && statements[statementIndex].start <= token.start
+      ? statements[statementIndex]
+      : null
+
+    if (token.type === '}') {
+      level = Math.max(0, level - 1)
+    }
+
+    const start = previous ? previous.end : 0
+    const gap = code.substring(start, token.start)
+    const value = previous ? getWhitespace(token, statement, gap) : ''
+
+    if (value !== gap) {
+      edits.push({ start: start, end: token.start, value: value })
+    }
+
+    // Multi-line comments in SASS syntax are ended by indentation, so it should be updated as well
+    if (format === 'sass' && isComment(token) && indentation[token.start] != null) {
+      const regex = /\n[\t ]*(?=[^\s])/g
+      let match
+
+      while ((match = regex.exec(token.value))) {
+        edits.push({ start: token.start + match.index, end: token.start + match.index + match[0].length, value: '\n' + indentation[token.start] + indentationUnit })
+      }
+    }
+
+    if (indentation[token.start] != null) {
+      lastIndentation = indentation[token.start]
+    }
+
+    if (token.type === '{') {
+      level++
+    } else if (token.type === '(') {
+      depth++
+    } else if (token.type === ')') {
+      depth = Math.max(0, depth - 1)
+    } else if (token.type === ':' && depth === 0) {
+      colons++
+    }
+
+    previous = token
+  }
+
+  // Finish file with single line break
+  if (previous && code.substring(previous.end) !== '\n') {
+    edits.push({ start: previous.end, end: code.length, value: '\n' })
+  }
+
+  return editCode(code, edits, offsets)
+}
+
+module.exports = formatCode
@@ -0,0 +1,109 @@
+const path = require('path')
+
+/**
+ * Build list of loaded files.
+ *
+ * @param {object} graph
+ * @param {function(string): string} name
+ * @returns {string}
+ */
+function formatList (graph, name) {
+  return graph.nodes.map(node => name(node.path)).join('\n')
+}
+
+/**
+ * Build tree of dependencies for each entry point.
+ * Files which are already displayed are not expanded again.
+ *
+ * @param {object} graph
+ * @param {function(string): string} name
+ * @returns {string}
+ */
+function formatTree (graph, name) {
+  const lines = []
+  const expanded = {}
+
+  function print (filePath, prefix, ancestors) {
+    const edges = graph.edges.filter(edge => edge.from === filePath)
+
+    edges.forEach((edge, index) => {
+      const last = index === edges.length - 1
+      const circular = ancestors.indexOf(edge.to) !== -1
+      const repeated = !circular && expanded[edge.to] && graph.edges.some(x => x.from === edge.to)
+      const suffix = circular ? ' (circular)' : repeated ? ' (see above)' : ''
+
+      lines.push(`${prefix}${last ? '└─' : '├─'} ${name(edge.to)} (${edge.url}:${edge.line})${suffix}`)
+
+      if (!circular && !expanded[edge.to]) {
+        expanded[edge.to] = true
+        print(edge.to, prefix + (last ? '   ' : '│  '), ancestors.concat(edge.to))
+      }
+    })
+  }
+
+  for (const entryName of Object.keys(graph.entries)) {
+    const filePath = graph.entries[entryName]
+
+    lines.push(`${entryName}: ${name(filePath)}`)
+    expanded[filePath] = true
+    print(filePath, '', [ filePath ])
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Build Graphviz DOT description of graph.
+ *
+ * @param {object} graph
+ * @param {function(string): string} name
+ * @returns {string}
+ */
+function formatDot (graph, name) {
+  const quote = value => JSON.stringify(String(value))
+  const lines = [ 'digraph dependencies {' ]
+
+  for (const node of graph.nodes) {
+    lines.push(`  ${quote(name(node.path))} [label=${quote(`${name(node.path)}\n${node.format}, ${node.size} B`)}];`)
+  }
+
+  for (const edge of graph.edges) {
+    lines.push(`  ${quote(name(edge.from))} -> ${quote(name(edge.to))} [label=${quote(`${edge.url}:${edge.line}`)}];`)
+  }
+
+  lines.push('}')
+
+  return lines.join('\n')
+}
+
+/**
+ * Format dependency graph for output, i.e. in CLI.
+ *
+ * @param {{ entries: object, nodes: object[], edges: object[] }} graph
+ * @param {string} format  'list', 'tree', 'json' or 'dot'
+ * @param {string} [cwd]  directory which paths should be relative to (except of JSON format)
+ * @returns {string}
+ */
+function formatDependencyGraph (graph, format, cwd = process.cwd()) {
+  const name = filePath => path.relative(cwd, filePath).replace(/\\/g, '/') || '.'
+
+  if (format === 'list') {
+    return formatList(graph, name)
+  }
+
+  if (format === 'tree') {
+    return formatTree(graph, name)
+  }
+
+  if (format === 'json') {
+    return JSON.stringify(graph, null, 2)
+  }
+
+  if (format === 'dot') {
+    return formatDot(graph, name)
+  }
+
+  throw new Error(`SassMerge: unknown format of dependency graph "${format}"!`)
+}
+
+module.exports = formatDependencyGraph
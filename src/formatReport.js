@@ -0,0 +1,40 @@
+const path = require('path')
+
+/**
+ * Format report of unused files and declarations for output, i.e. in CLI.
+ *
+ * @param {{ unusedFiles: string[], unusedDeclarations: object[] }} report
+ * @param {string} format  'text' or 'json'
+ * @param {string} [cwd]  directory which paths should be relative to (except of JSON format)
+ * @returns {string}
+ */
+function formatReport (report, format, cwd = process.cwd()) {
+  const name = filePath => path.relative(cwd, filePath).replace(/\\/g, '/') || '.'
+
+  if (format === 'json') {
+    return JSON.stringify(report, null, 2)
+  }
+
+  if (format !== 'text') {
+    throw new Error(`SassMerge: unknown format of report "${format}"!`)
+  }
+
+  const { unusedFiles, unusedDeclarations } = report
+  const lines = [ `Unused files (${unusedFiles.length}):` ]
+
+  for (const filePath of unusedFiles) {
+    lines.push(`  ${name(filePath)}`)
+  }
+
+  lines.push('', `Unused declarations (${unusedDeclarations.length}):`)
+
+  for (const declaration of unusedDeclarations) {
+    const location = declaration.file ? `${name(declaration.file)}:${declaration.line}` : '(unknown)'
+
+    lines.push(`  ${location}  ${declaration.kind} ${declaration.name}`)
+  }
+
+  return lines.join('\n')
+}
+
+module.exports = formatReport
@@ -0,0 +1,20 @@
+/**
+ * Get line number (starting from 1) of specified offset in code.
+ *
+ * @param {string} code
+ * @param {number} offset
+ * @returns {number}
+ */
+function getLineNumber (code, offset) {
+  let line = 1
+  let index = code.indexOf('\n')
+
+  while (index !== -1 && index < offset) {
+    line++
+    index = code.indexOf('\n', index + 1)
+  }
+
+  return line
+}
+
+module.exports = getLineNumber
@@ -0,0 +1,63 @@
+const parse = require('./parser/parse')
+const parseImportParams = require('./parser/parseImportParams')
+const editCode = require('./editCode')
+const OffsetMap = require('./OffsetMap')
+
+/**
+ * Move plain CSS @import clauses on top of stylesheet (without duplicates),
+ * as otherwise they would be ignored by browsers. Leading `@charset` is kept before them, as it has to be first.
+ *
+ * @param {string} code
+ * @param {string} format
+ * @param {OffsetMap} [offsets]  map of offsets to update
+ * @returns {string}
+ */
+function hoistCssImports (code, format, offsets) {
+  const insertions = []
+  const removals = []
+  const hoisted = {}
+  const root = parse(code, format)
+
+  // Find place for imports, after leading @charset clause
+  const first = root.children.find(node => node.type !== 'comment')
+  const charset = first && first.type === 'atrule' && first.name === 'charset' ? first : null
+  const index = charset ? charset.end : 0
+  const prefix = charset && format === 'sass' && code[index - 1] !== '\n' ? '\n' : ''
+
+  for (const node of root.children) {
+    if (node.type !== 'atrule' || node.name !== 'import') {
+      continue
+    }
+
+    const items = parseImportParams(code, node)
+
+    if (!items.length || items.some(item => !item.css)) {
+      continue
+    }
+
+    for (const item of items) {
+      const text = code.substring(item.start, item.end)
+      const key = text.replace(/\s+/g, ' ')
+
+      if (hoisted[key]) {
+        continue
+      }
+
+      const place = offsets ? offsets.find(node.start) : null
+
+      hoisted[key] = true
+      insertions.push({
+        start: index,
+        end: index,
+        value: `${insertions.length ? '' : prefix}@import ${text}${format === 'sass' ? '' : ';'}\n`,
+        map: place ? OffsetMap.point(place.source, place.original) : null
+      })
+    }
+
+    removals.push({ start: node.start - node.indentation.length, end: node.end, value: '' })
+  }
+
+  return editCode(code, insertions.concat(removals), offsets)
+}
+
+module.exports = hoistCssImports
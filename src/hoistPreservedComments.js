@@ -0,0 +1,47 @@
+const parse = require('./parser/parse')
+const editCode = require('./editCode')
+const OffsetMap = require('./OffsetMap')
+const removeComments = require('./removeComments')
+
+/**
+ * Move preserved comments (i.e. licenses) into single header on top of stylesheet (without duplicates).
+ *
+ * @param {string} code
+ * @param {string} format
+ * @param {OffsetMap} [offsets]  map of offsets to update
+ * @param {function(string): boolean} isPreserved  predicate for comments which should be moved
+ * @returns {string}
+ */
+function hoistPreservedComments (code, format, offsets, isPreserved) {
+  const insertions = []
+  const removals = []
+  const hoisted = {}
+
+  for (const comment of parse(code, format).comments) {
+    if (!isPreserved(comment.value)) {
+      continue
+    }
+
+    removals.push(removeComments.buildRemoval(code, format, comment))
+
+    const key = comment.value.replace(/\s+/g, ' ')
+
+    if (hoisted[key]) {
+      continue
+    }
+
+    const place = offsets ? offsets.find(comment.start) : null
+
+    hoisted[key] = true
+    insertions.push({
+      start: 0,
+      end: 0,
+      value: comment.value + '\n',
+      map: place ? OffsetMap.point(place.source, place.original) : null
+    })
+  }
+
+  return editCode(code, insertions.concat(removals), offsets)
+}
+
+module.exports = hoistPreservedComments
@@ -0,0 +1,175 @@
+/**
+ * Find first token which is neither space nor comment.
+ *
+ * @param {object[]} tokens
+ * @param {number} [fromIndex]
+ * @returns {number}  -1 when there is no such token
+ */
+function findMeaningfulToken (tokens, fromIndex = 0) {
+  for (let i = fromIndex; i < tokens.length; i++) {
+    const type = tokens[i].type
+
+    if (type !== 'space' && type !== 'comment' && type !== 'lineComment') {
+      return i
+    }
+  }
+
+  return -1
+}
+
+/**
+ * Find last token which is neither space nor comment.
+ *
+ * @param {object[]} tokens
+ * @returns {number}  -1 when there is no such token
+ */
+function findLastMeaningfulToken (tokens) {
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const type = tokens[i].type
+
+    if (type !== 'space' && type !== 'comment' && type !== 'lineComment') {
+      return i
+    }
+  }
+
+  return -1
+}
+
+/**
+ * Get code between tokens (inclusive).
+ *
+ * @param {string} code
+ * @param {object[]} tokens
+ * @param {number} startIndex
+ * @param {number} endIndex
+ * @returns {string}
+ */
+function getText (code, tokens, startIndex, endIndex) {
+  if (startIndex === -1 || endIndex === -1 || startIndex > endIndex) {
+    return ''
+  }
+
+  return code.substring(tokens[startIndex].start, tokens[endIndex].end)
+}
+
+/**
+ * Create AST node from tokens of single statement (or block header).
+ *
+ * Node types are:
+ * - 'atrule' (i.e. `@import 'x'` or `@media print { ... }`) with `name`, `params` and `paramsStart`,
+ * - 'variable' (i.e. `$x: 10px !default`) with `name`, `value`, `default` and `global`,
+ * - 'declaration' (i.e. `color: red`) with `property` and `value`,
+ * - 'rule' (i.e. `.selector { ... }`) with `selector`.
+ *
+ * @param {string} code
+ * @param {object[]} tokens  tokens of statement, without block or ending
+ * @param {boolean} hasChildren
+ * @param {string} format
+ * @returns {object|null}
+ */
+function createNode (code, tokens, hasChildren, format) {
+  const startIndex = findMeaningfulToken(tokens)
+  const endIndex = findLastMeaningfulToken(tokens)
+
+  if (startIndex === -1) {
+    return null
+  }
+
+  const first = tokens[startIndex]
+  const text = getText(code, tokens, startIndex, endIndex)
+
+  const node = {
+    type: null,
+    start: first.start,
+    end: tokens[endIndex].end,
+    children: hasChildren ? [] : null
+  }
+
+  // Handle SASS shorthands for mixins: `=name` and `+name`
+  const shorthand = format === 'sass' && first.type === 'word' && /^[=+]/.test(first.value) &&
+    (first.value.length > 1 || first.value === '=')
+
+  if (shorthand) {
+    const paramsIndex = first.value.length > 1 ? startIndex : findMeaningfulToken(tokens, startIndex + 1)
+    const paramsStart = paramsIndex === -1 ? node.end : tokens[paramsIndex].start + (paramsIndex === startIndex ? 1 : 0)
+
+    return Object.assign(node, {
+      type: 'atrule',
+      name: first.value[0] === '=' ? 'mixin' : 'include',
+      shorthand: true,
+      params: code.substring(paramsStart, node.end).trim(),
+      paramsStart: paramsStart
+    })
+  }
+
+  // At-rules, i.e. `@import`, `@media`, `@include`
+  if (first.type === 'word' && first.value[0] === '@') {
+    const paramsIndex = findMeaningfulToken(tokens, startIndex + 1)
+    const paramsStart = paramsIndex === -1 || paramsIndex > endIndex ? node.end : tokens[paramsIndex].start
+
+    return Object.assign(node, {
+      type: 'atrule',
+      name: first.value.substr(1).toLowerCase(),
+      params: code.substring(paramsStart, node.end),
+      paramsStart: paramsStart
+    })
+  }
+
+  // Find colon, which splits property and value
+  let colonIndex = -1
+
+  for (let i = startIndex; i <= endIndex; i++) {
+    if (tokens[i].type === ':') {
+      colonIndex = i
+      break
+    }
+  }
+
+  // Old SASS property syntax: `:property value`
+  if (format === 'sass' && !hasChildren && colonIndex === startIndex && tokens[startIndex + 1] && tokens[startIndex + 1].type === 'word') {
+    const valueIndex = findMeaningfulToken(tokens, startIndex + 2)
+
+    return Object.assign(node, {
+      type: 'declaration',
+      property: tokens[startIndex + 1].value,
+      value: getText(code, tokens, valueIndex, endIndex)
+    })
+  }
+
+  // Variables, i.e. `$name: value` or `namespace.$name: value`
+  if (first.type === 'word' && /^([\w-]+\.)?\$/.test(first.value) && colonIndex !== -1) {
+    const value = getText(code, tokens, findMeaningfulToken(tokens, colonIndex + 1), endIndex)
+    const flags = tokens.slice(colonIndex + 1, endIndex + 1).filter(x => x.type === 'word' && x.value[0] === '!')
+
+    return Object.assign(node, {
+      type: 'variable',
+      name: getText(code, tokens, startIndex, findLastMeaningfulToken(tokens.slice(0, colonIndex))),
+      value: value,
+      default: flags.some(x => x.value.toLowerCase() === '!default'),
+      global: flags.some(x => x.value.toLowerCase() === '!global')
+    })
+  }
+
+  // Style rules
+  const isNestedProperty = colonIndex !== -1 && (colonIndex === endIndex || tokens[colonIndex + 1].type === 'space') &&
+    findMeaningfulToken(tokens.slice(0, colonIndex)) !== -1 && !/\s/.test(getText(code, tokens, startIndex, colonIndex - 1))
+
+  if (hasChildren && !isNestedProperty) {
+    return Object.assign(node, {
+      type: 'rule',
+      selector: text
+    })
+  }
+
+  // Declarations (including nested properties)
+  return Object.assign(node, {
+    type: 'declaration',
+    property: colonIndex === -1 ? text : getText(code, tokens, startIndex, colonIndex - 1).trim(),
+    value: colonIndex === -1 ? '' : getText(code, tokens, findMeaningfulToken(tokens, colonIndex + 1), endIndex)
+  })
+}
+
+createNode.findMeaningfulToken = findMeaningfulToken
+createNode.findLastMeaningfulToken = findLastMeaningfulToken
+
+module.exports = createNode
@@ -0,0 +1,15 @@
+const parseScss = require('./parseScss')
+const parseSass = require('./parseSass')
+
+/**
+ * Parse stylesheet code into lightweight AST.
+ *
+ * @param {string} code
+ * @param {string} format  'sass', 'scss' or 'css'
+ * @returns {{ type: string, start: number, end: number, children: object[], comments: object[] }}
+ */
+function parse (code, format) {
+  return format === 'sass' ? parseSass(code) : parseScss(code)
+}
+
+module.exports = parse
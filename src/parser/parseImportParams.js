@@ -0,0 +1,135 @@
+const tokenize = require('./tokenize')
+const createNode = require('./createNode')
+
+/**
+ * Remove quotes and escape characters from string token.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function unquote (value) {
+  return value.replace(/^['"]|['"]$/g, '').replace(/\\(.)/g, ($0, character) => character)
+}
+
+/**
+ * Find index of bracket which is closing the one at specified index.
+ *
+ * @param {object[]} tokens
+ * @param {number} index
+ * @returns {number}  index of last token, when it's not closed
+ */
+function findClosingBracket (tokens, index) {
+  let depth = 0
+
+  for (let i = index; i < tokens.length; i++) {
+    if (tokens[i].type === '(') {
+      depth++
+    } else if (tokens[i].type === ')' && --depth === 0) {
+      return i
+    }
+  }
+
+  return tokens.length - 1
+}
+
+/**
+ * Parse list of imported paths from @import clause node.
+ * Following Sass rules, item is plain CSS import, when it's `url()`, remote file, has `.css` extension,
+ * media query or supports condition (i.e. `@import 'print' supports(display: grid) print`).
+ * Last ones are marked as conditional, as they still may be inlined.
+ *
+ * @param {string} code
+ * @param {object} node  'atrule' node of @import clause
+ * @returns {Array<{ path: string, start: number, end: number, quoted: boolean, url: boolean, remote: boolean, extension: boolean, media: string|null, supports: string|null, conditional: boolean, css: boolean }>}
+ */
+function parseImportParams (code, node) {
+  const tokens = tokenize(code, node.paramsStart, node.paramsStart + node.params.length)
+  const groups = [ [] ]
+  let depth = 0
+
+  // Split list by commas
+  for (const token of tokens) {
+    if (token.type === '(' || token.type === '[') {
+      depth++
+    } else if (token.type === ')' || token.type === ']') {
+      depth--
+    }
+
+    if (token.type === ',' && depth === 0) {
+      groups.push([])
+    } else {
+      groups[groups.length - 1].push(token)
+    }
+  }
+
+  const items = []
+
+  for (const group of groups) {
+    const startIndex = createNode.findMeaningfulToken(group)
+    const endIndex = createNode.findLastMeaningfulToken(group)
+
+    if (startIndex === -1) {
+      continue
+    }
+
+    const first = group[startIndex]
+    let pathEndIndex = startIndex
+    let path
+    let url = false
+
+    if (first.type === 'string') {
+      path = unquote(first.value)
+    } else if (first.type === 'url') {
+      path = unquote(first.value.slice(4, -1).trim())
+      url = true
+    } else if (first.type === 'word' && first.value.toLowerCase() === 'url' && group[startIndex + 1] && group[startIndex + 1].type === '(') {
+      // Quoted URL: `url('path')`
+      pathEndIndex = group.findIndex((token, index) => index > startIndex && token.type === ')')
+      pathEndIndex = pathEndIndex === -1 ? endIndex : pathEndIndex
+
+      const string = group.slice(startIndex, pathEndIndex).find(token => token.type === 'string')
+      path = string ? unquote(string.value) : ''
+      url = true
+    } else {
+      // Unquoted path in SASS syntax
+      pathEndIndex = endIndex
+      path = code.substring(first.start, group[endIndex].end)
+    }
+
+    let mediaIndex = createNode.findMeaningfulToken(group, pathEndIndex + 1)
+    let supports = null
+
+    // Supports condition, i.e. `supports(display: grid)`
+    const supportsToken = mediaIndex === -1 ? null : group[mediaIndex]
+
+    if (supportsToken && supportsToken.type === 'word' && supportsToken.value.toLowerCase() === 'supports' &&
+      group[mediaIndex + 1] && group[mediaIndex + 1].type === '(') {
+      const closingIndex = findClosingBracket(group, mediaIndex + 1)
+
+      supports = code.substring(group[mediaIndex + 1].end, group[closingIndex].start).trim()
+      mediaIndex = createNode.findMeaningfulToken(group, closingIndex + 1)
+    }
+
+    const media = mediaIndex === -1 ? null : code.substring(group[mediaIndex].start, group[endIndex].end)
+    const remote = /^(?:[a-z]+:)?\/\//i.test(path)
+    const extension = /\.css$/i.test(path)
+
+    items.push({
+      path: path,
+      start: first.start,
+      end: group[endIndex].end,
+      quoted: first.type === 'string',
+      url: url,
+      remote: remote,
+      extension: extension,
+      media: media,
+      supports: supports,
+      conditional: !url && !remote && !extension && (media !== null || supports !== null),
+      css: url || remote || extension || media !== null || supports !== null
+    })
+  }
+
+  return items
+}
+
+module.exports = parseImportParams
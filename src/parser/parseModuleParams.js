@@ -0,0 +1,151 @@
+const tokenize = require('./tokenize')
+const createNode = require('./createNode')
+
+/**
+ * Get default namespace of module, basing on its URL.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function getDefaultNamespace (url) {
+  const name = url.replace(/^sass:/, '').split('/').pop()
+
+  return name.replace(/^_/, '').replace(/\.(s[ac]ss|css)$/i, '').replace(/\..*$/, '')
+}
+
+/**
+ * Parse list of members names (used in `show` and `hide` clauses).
+ *
+ * @param {object[]} tokens
+ * @returns {string[]}
+ */
+function parseMembers (tokens) {
+  return tokens
+    .filter(token => token.type === 'word')
+    .map(token => token.value)
+}
+
+/**
+ * Parse configuration map (used in `with` clause).
+ *
+ * @param {object[]} tokens  tokens inside of brackets
+ * @returns {Array<{ name: string, start: number, end: number, default: boolean }>}
+ */
+function parseConfiguration (tokens) {
+  const groups = [ [] ]
+  let depth = 0
+
+  // Split entries by commas
+  for (const token of tokens) {
+    if (token.type === '(' || token.type === '[') {
+      depth++
+    } else if (token.type === ')' || token.type === ']') {
+      depth--
+    }
+
+    if (token.type === ',' && depth === 0) {
+      groups.push([])
+    } else {
+      groups[groups.length - 1].push(token)
+    }
+  }
+
+  const entries = []
+
+  for (const group of groups) {
+    const nameIndex = createNode.findMeaningfulToken(group)
+    const colonIndex = group.findIndex(token => token.type === ':')
+
+    if (nameIndex === -1 || colonIndex === -1) {
+      continue
+    }
+
+    const valueTokens = group.slice(colonIndex + 1)
+    let endIndex = createNode.findLastMeaningfulToken(valueTokens)
+    const isDefault = endIndex !== -1 && valueTokens[endIndex].value.toLowerCase() === '!default'
+
+    if (isDefault) {
+      endIndex = createNode.findLastMeaningfulToken(valueTokens.slice(0, endIndex))
+    }
+
+    const startIndex = createNode.findMeaningfulToken(valueTokens)
+
+    if (startIndex === -1 || endIndex === -1) {
+      continue
+    }
+
+    entries.push({
+      name: group[nameIndex].value.replace(/^\$/, ''),
+      start: valueTokens[startIndex].start,
+      end: valueTokens[endIndex].end,
+      default: isDefault
+    })
+  }
+
+  return entries
+}
+
+/**
+ * Parse parameters of @use or @forward clause node.
+ *
+ * @param {string} code
+ * @param {object} node  'atrule' node of @use or @forward clause
+ * @returns {{ url: string, start: number, end: number, builtin: boolean, namespace: string|null, prefix: string, show: string[]|null, hide: string[]|null, configuration: Array<{ name: string, start: number, end: number, default: boolean }>|null }}
+ */
+function parseModuleParams (code, node) {
+  const tokens = tokenize(code, node.paramsStart, node.paramsStart + node.params.length)
+    .filter(token => token.type !== 'space' && token.type !== 'comment' && token.type !== 'lineComment')
+
+  const urlToken = tokens[0] && tokens[0].type === 'string' ? tokens[0] : null
+  const url = urlToken ? urlToken.value.replace(/^['"]|['"]$/g, '').replace(/\\(.)/g, ($0, character) => character) : ''
+
+  const result = {
+    url: url,
+    start: urlToken ? urlToken.start : node.paramsStart,
+    end: urlToken ? urlToken.end : node.paramsStart,
+    builtin: url.startsWith('sass:'),
+    namespace: node.name === 'use' ? getDefaultNamespace(url) : null,
+    prefix: '',
+    show: null,
+    hide: null,
+    configuration: null
+  }
+
+  for (let i = 1; i < tokens.length; i++) {
+    const keyword = tokens[i].type === 'word' ? tokens[i].value : null
+
+    if (keyword === 'as' && tokens[i + 1]) {
+      const value = tokens[++i].value
+
+      if (node.name === 'use') {
+        result.namespace = value === '*' ? null : value
+      } else {
+        result.prefix = value.replace(/\*$/, '')
+      }
+    } else if (keyword === 'show' || keyword === 'hide') {
+      // Members list continues until `with` clause
+      let endIndex = i + 1
+
+      while (endIndex < tokens.length && !(tokens[endIndex].type === 'word' && tokens[endIndex].value === 'with')) {
+        endIndex++
+      }
+
+      result[keyword] = parseMembers(tokens.slice(i + 1, endIndex))
+      i = endIndex - 1
+    } else if (keyword === 'with' && tokens[i + 1] && tokens[i + 1].type === '(') {
+      // Configuration is until the end of clause, without last closing bracket
+      const last = tokens[tokens.length - 1]
+      const end = last.type === ')' ? last.start : last.end
+      const innerTokens = tokenize(code, tokens[i + 1].end, end)
+
+      result.configuration = parseConfiguration(innerTokens)
+      break
+    }
+  }
+
+  return result
+}
+
+parseModuleParams.getDefaultNamespace = getDefaultNamespace
+
+module.exports = parseModuleParams
@@ -0,0 +1,192 @@
+const tokenize = require('./tokenize')
+const createNode = require('./createNode')
+
+/**
+ * Split code into lines, with information about their position.
+ *
+ * @param {string} code
+ * @returns {Array<{ start: number, end: number, textStart: number, indentation: string, blank: boolean }>}
+ */
+function splitLines (code) {
+  const lines = []
+  const regex = /([^\r\n]*)(\r\n?|\n|$)/g
+
+  let match
+  while ((match = regex.exec(code)) && match.index < code.length) {
+    const indentation = match[1].match(/^[\t ]*/)[0]
+
+    lines.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      contentEnd: match.index + match[1].length,
+      textStart: match.index + indentation.length,
+      indentation: indentation,
+      blank: !match[1].trim()
+    })
+  }
+
+  return lines
+}
+
+/**
+ * Check if statement is continued in next line (unclosed brackets or list of selectors).
+ *
+ * @param {object[]} tokens
+ * @returns {boolean}
+ */
+function isContinued (tokens) {
+  let depth = 0
+
+  for (const token of tokens) {
+    if (token.type === '(' || token.type === '[') {
+      depth++
+    } else if (token.type === ')' || token.type === ']') {
+      depth--
+    }
+  }
+
+  const last = tokens[createNode.findLastMeaningfulToken(tokens)]
+
+  return depth > 0 || (!!last && last.type === ',')
+}
+
+/**
+ * Parse SASS (indented syntax) code into lightweight AST.
+ * Each node has `start` (beginning of text, after indentation) and `end` (after last line break) offsets,
+ * and `indentation` of its first line. Block nodes have also `children`.
+ *
+ * @param {string} code
+ * @returns {{ type: string, start: number, end: number, children: object[], comments: object[] }}
+ */
+function parseSass (code) {
+  const lines = splitLines(code)
+  const comments = []
+  const items = []
+
+  // Build list of statements and comments
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    if (line.blank) {
+      continue
+    }
+
+    const text = code.substring(line.textStart, line.contentEnd)
+
+    // Comments, which may be continued in more indented lines
+    if (text.startsWith('/*') || text.startsWith('//')) {
+      let lastLine = line
+
+      while (i + 1 < lines.length && (lines[i + 1].blank || lines[i + 1].indentation.length > line.indentation.length)) {
+        i++
+
+        if (!lines[i].blank) {
+          lastLine = lines[i]
+        }
+      }
+
+      const comment = {
+        type: 'comment',
+        start: line.textStart,
+        end: lastLine.end,
+        indentation: line.indentation,
+        value: code.substring(line.textStart, lastLine.contentEnd),
+        multiline: text.startsWith('/*'),
+        inline: false,
+        children: null
+      }
+
+      comments.push(comment)
+      items.push(comment)
+      continue
+    }
+
+    // Statements, which may be continued in next lines
+    let lastLine = line
+    let tokens = tokenize(code, line.textStart, line.contentEnd)
+
+    while (isContinued(tokens) && i + 1 < lines.length && !lines[i + 1].blank) {
+      lastLine = lines[++i]
+      tokens = tokenize(code, line.textStart, lastLine.contentEnd)
+    }
+
+    // Extract inline comments
+    for (const token of tokens) {
+      if (token.type === 'comment' || token.type === 'lineComment') {
+        comments.push({
+          type: 'comment',
+          start: token.start,
+          end: token.end,
+          value: token.value,
+          multiline: token.type === 'comment',
+          inline: true
+        })
+      }
+    }
+
+    items.push({ line: line, lastLine: lastLine, tokens: tokens })
+  }
+
+  const root = { type: 'stylesheet', start: 0, end: code.length, children: [], comments: comments }
+  const stack = [ { node: root, indentation: -1 } ]
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i]
+    const indentation = item.type === 'comment' ? item.indentation : item.line.indentation
+
+    // Close blocks which has ended
+    while (stack.length > 1 && stack[stack.length - 1].indentation >= indentation.length) {
+      stack.pop()
+    }
+
+    const parent = stack[stack.length - 1].node
+
+    if (item.type === 'comment') {
+      parent.children.push(item)
+      continue
+    }
+
+    const next = items[i + 1]
+    const nextIndentation = next ? (next.type === 'comment' ? next.indentation : next.line.indentation) : ''
+    const hasChildren = nextIndentation.length > indentation.length
+
+    const node = createNode(code, item.tokens, hasChildren, 'sass')
+
+    if (!node) {
+      continue
+    }
+
+    node.indentation = indentation
+    node.end = item.lastLine.end
+
+    if (hasChildren) {
+      node.blockStart = item.lastLine.end
+      stack.push({ node: node, indentation: indentation.length })
+    }
+
+    parent.children.push(node)
+  }
+
+  // Update ends of blocks, to include all their children
+  function updateEnd (node) {
+    if (!node.children || !node.children.length) {
+      return node.end
+    }
+
+    for (const child of node.children) {
+      node.end = Math.max(node.end, updateEnd(child))
+    }
+
+    node.blockEnd = node.end
+
+    return node.end
+  }
+
+  for (const node of root.children) {
+    updateEnd(node)
+  }
+
+  return root
+}
+
+module.exports = parseSass
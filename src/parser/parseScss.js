@@ -0,0 +1,105 @@
+const tokenize = require('./tokenize')
+const createNode = require('./createNode')
+
+/**
+ * Parse SCSS (or CSS) code into lightweight AST.
+ * Each node has `start` and `end` offsets in code, block nodes have also `children`.
+ *
+ * @param {string} code
+ * @returns {{ type: string, start: number, end: number, children: object[], comments: object[] }}
+ */
+function parseScss (code) {
+  const tokens = tokenize(code)
+  const comments = []
+  let index = 0
+
+  /**
+   * Parse block content, until closing bracket.
+   *
+   * @param {object[]} children
+   * @returns {object|null}  closing bracket token
+   */
+  function parseBlock (children) {
+    let statement = []
+
+    while (index < tokens.length) {
+      const token = tokens[index++]
+
+      if (token.type === 'comment' || token.type === 'lineComment') {
+        const comment = {
+          type: 'comment',
+          start: token.start,
+          end: token.end,
+          value: token.value,
+          multiline: token.type === 'comment',
+          inline: createNode.findMeaningfulToken(statement) !== -1
+        }
+
+        comments.push(comment)
+
+        // Comments inside of statements are part of statement
+        if (comment.inline) {
+          statement.push(token)
+        } else {
+          children.push(comment)
+        }
+      } else if (token.type === '{') {
+        const node = createNode(code, statement, true, 'scss') || {
+          type: 'rule', selector: '', start: token.start, end: token.end, children: []
+        }
+
+        node.blockStart = token.start
+        node.indentation = ''
+
+        const closing = parseBlock(node.children)
+
+        node.end = closing ? closing.end : code.length
+        node.blockEnd = node.end
+
+        children.push(node)
+        statement = []
+      } else if (token.type === ';' || token.type === '}') {
+        const node = createNode(code, statement, false, 'scss')
+
+        if (node) {
+          node.indentation = ''
+
+          if (token.type === ';') {
+            node.end = token.end
+          }
+
+          children.push(node)
+        }
+
+        statement = []
+
+        if (token.type === '}') {
+          return token
+        }
+      } else {
+        statement.push(token)
+      }
+    }
+
+    // Handle last statement without ending
+    const node = createNode(code, statement, false, 'scss')
+
+    if (node) {
+      node.indentation = ''
+      children.push(node)
+    }
+
+    return null
+  }
+
+  const root = { type: 'stylesheet', start: 0, end: code.length, children: [], comments: comments }
+
+  // Parse until whole code is consumed (ignoring unexpected closing brackets)
+  while (index < tokens.length) {
+    parseBlock(root.children)
+  }
+
+  return root
+}
+
+module.exports = parseScss
@@ -0,0 +1,145 @@
+const punctuation = '{};:,()[]'
+
+/**
+ * Find index where string (started at specified index) ends.
+ *
+ * @param {string} code
+ * @param {number} index  index of opening quote
+ * @returns {number}  index after closing quote
+ */
+function findStringEnd (code, index) {
+  const quote = code[index]
+
+  for (let i = index + 1; i < code.length; i++) {
+    if (code[i] === '\\') {
+      i++
+    } else if (code[i] === quote || code[i] === '\n') {
+      return i + (code[i] === quote ? 1 : 0)
+    }
+  }
+
+  return code.length
+}
+
+/**
+ * Find index where interpolation (started at specified index) ends.
+ *
+ * @param {string} code
+ * @param {number} index  index of '#{'
+ * @returns {number}  index after closing bracket
+ */
+function findInterpolationEnd (code, index) {
+  let depth = 0
+
+  for (let i = index + 1; i < code.length; i++) {
+    const character = code[i]
+
+    if (character === '"' || character === '\'') {
+      i = findStringEnd(code, i) - 1
+    } else if (character === '{') {
+      depth++
+    } else if (character === '}' && --depth === 0) {
+      return i + 1
+    }
+  }
+
+  return code.length
+}
+
+/**
+ * Find index where unquoted URL (started at specified index) ends.
+ *
+ * @param {string} code
+ * @param {number} index  index of 'url('
+ * @returns {number}  index after closing bracket
+ */
+function findUrlEnd (code, index) {
+  for (let i = index + 4; i < code.length; i++) {
+    if (code[i] === '\\') {
+      i++
+    } else if (code[i] === '#' && code[i + 1] === '{') {
+      i = findInterpolationEnd(code, i) - 1
+    } else if (code[i] === ')') {
+      return i + 1
+    } else if (code[i] === '\n') {
+      return i
+    }
+  }
+
+  return code.length
+}
+
+/**
+ * Split SCSS/SASS code into tokens.
+ * Available token types are: 'space', 'comment', 'lineComment', 'string', 'url' (unquoted one),
+ * 'interpolation', 'word' and punctuation characters: '{', '}', ';', ':', ',', '(', ')', '[', ']'.
+ *
+ * @param {string} code
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {Array<{ type: string, value: string, start: number, end: number }>}
+ */
+function tokenize (code, start = 0, end = code.length) {
+  const tokens = []
+
+  function push (type, tokenStart, tokenEnd) {
+    tokenEnd = Math.min(tokenEnd, end)
+    tokens.push({ type: type, value: code.substring(tokenStart, tokenEnd), start: tokenStart, end: tokenEnd })
+    return tokenEnd
+  }
+
+  let i = start
+
+  while (i < end) {
+    const character = code[i]
+    const next = code[i + 1]
+
+    if (/\s/.test(character)) {
+      let j = i + 1
+
+      while (j < end && /\s/.test(code[j])) {
+        j++
+      }
+
+      i = push('space', i, j)
+    } else if (character === '/' && next === '*') {
+      const endIndex = code.indexOf('*/', i + 2)
+      i = push('comment', i, endIndex === -1 ? end : endIndex + 2)
+    } else if (character === '/' && next === '/') {
+      const endIndex = code.slice(i, end).search(/\r?\n|\r/)
+      i = push('lineComment', i, endIndex === -1 ? end : i + endIndex)
+    } else if (character === '"' || character === '\'') {
+      i = push('string', i, findStringEnd(code, i))
+    } else if (character === '#' && next === '{') {
+      i = push('interpolation', i, findInterpolationEnd(code, i))
+    } else if (punctuation.indexOf(character) !== -1) {
+      i = push(character, i, i + 1)
+    } else if (/^url\(\s*[^\s'")]/i.test(code.substr(i, 6)) && !/[\w\\-]/.test(code[i - 1] || '')) {
+      i = push('url', i, findUrlEnd(code, i))
+    } else {
+      let j = i
+
+      while (j < end) {
+        const c = code[j]
+
+        if (c === '\\') {
+          j += 2
+        } else if (
+          /\s/.test(c) || punctuation.indexOf(c) !== -1 || c === '"' || c === '\'' ||
+          (c === '/' && (code[j + 1] === '*' || code[j + 1] === '/')) ||
+          (c === '#' && code[j + 1] === '{' && j > i)
+        ) {
+          break
+        } else {
+          j++
+        }
+      }
+
+      i = push('word', i, Math.max(j, i + 1))
+    }
+  }
+
+  return tokens
+}
+
+module.exports = tokenize
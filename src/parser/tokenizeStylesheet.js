@@ -0,0 +1,43 @@
+const tokenize = require('./tokenize')
+const parseSass = require('./parseSass')
+
+/**
+ * Split whole stylesheet code into tokens.
+ * In SASS indented syntax, multi-line comments are ended by indentation, so they are detected by parser first.
+ *
+ * @param {string} code
+ * @param {string} format
+ * @returns {Array<{ type: string, value: string, start: number, end: number }>}
+ */
+function tokenizeStylesheet (code, format) {
+  if (format !== 'sass') {
+    return tokenize(code)
+  }
+
+  const tokens = []
+  let lastIndex = 0
+
+  for (const comment of parseSass(code).comments) {
+    if (comment.inline) {
+      continue
+    }
+
+    const end = comment.start + comment.value.length
+
+    tokens.push(...tokenize(code, lastIndex, comment.start))
+    tokens.push({
+      type: comment.multiline ? 'comment' : 'lineComment',
+      value: comment.value,
+      start: comment.start,
+      end: end
+    })
+
+    lastIndex = end
+  }
+
+  tokens.push(...tokenize(code, lastIndex))
+
+  return tokens
+}
+
+module.exports = tokenizeStylesheet
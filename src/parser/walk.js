@@ -0,0 +1,23 @@
+/**
+ * Go through all nodes of AST (depth-first).
+ * When callback returns `false`, children of node will be skipped.
+ *
+ * @param {object} node
+ * @param {function(object, object|null, object[])} callback  gets node, its parent and list of its ancestors
+ * @param {object[]} [ancestors]
+ */
+function walk (node, callback, ancestors = []) {
+  if (!node.children) {
+    return
+  }
+
+  const nextAncestors = ancestors.concat(node)
+
+  for (const child of node.children) {
+    if (callback(child, node, nextAncestors) !== false) {
+      walk(child, callback, nextAncestors)
+    }
+  }
+}
+
+module.exports = walk
@@ -1,20 +1,65 @@
+const parse = require('./parser/parse')
+const editCode = require('./editCode')
+
+/**
+ * Check if comment is important, so it shouldn't be removed:
+ * loud comment (`/*! ... *\/`) or comment with `@license` or `@preserve` annotation.
+ *
+ * @param {string} comment
+ * @returns {boolean}
+ */
+function isImportantComment (comment) {
+  return /^\/\*!/.test(comment) || /@(?:license|preserve)(?![\w-])/.test(comment)
+}
+
+/**
+ * Build edit which is removing comment from code.
+ *
+ * @param {string} code
+ * @param {string} format
+ * @param {object} comment
+ * @returns {{ start: number, end: number, value: string }}
+ */
+function buildRemoval (code, format, comment) {
+  if (format === 'sass' && !comment.inline) {
+    // Remove whole lines of comments in indented syntax
+    return { start: comment.start - comment.indentation.length, end: comment.end, value: '' }
+  } else if (format === 'sass' || !comment.multiline) {
+    // Remove also spaces before single-line comment
+    const start = code.substring(0, comment.start).search(/[\t ]*$/)
+    return { start: start, end: comment.end, value: '' }
+  }
+
+  // Keep words separated, as multi-line comment is separating them as well
+  const before = code[comment.start - 1] || ''
+  const after = code[comment.end] || ''
+  const separate = /[\w-]/.test(before) && /[\w-]/.test(after)
+
+  return { start: comment.start, end: comment.end, value: separate ? ' ' : '' }
+}
+
 /**
  * Remove single-line and multi-line comments from code.
  *
  * @param {string} code
  * @param {string} format
+ * @param {OffsetMap} [offsets]  map of offsets to update
+ * @param {function(string): boolean} [isPreserved]  predicate for comments which should be kept
  * @returns {string}
  */
-function removeComments (code, format) {
-  // Remove single line comments
-  const lineCommentsRegex = /(?:(url)\(\s*['"]?(?:[a-z]+:)?)?\/\/[^\n]*/gi
-  code = code.replace(lineCommentsRegex, ($0, isURL) => isURL ? $0 : '')
+function removeComments (code, format, offsets, isPreserved) {
+  const edits = []
 
-  // Remove multi line comments
-  const multiLineCommentsRegex = /\/\*(?:(?!\*\/)[^])*\*\//g
-  code = code.replace(multiLineCommentsRegex, '')
+  for (const comment of parse(code, format).comments) {
+    if (!isPreserved || !isPreserved(comment.value)) {
+      edits.push(buildRemoval(code, format, comment))
+    }
+  }
 
-  return code
+  return editCode(code, edits, offsets)
 }
 
+removeComments.isImportantComment = isImportantComment
+removeComments.buildRemoval = buildRemoval
+
 module.exports = removeComments
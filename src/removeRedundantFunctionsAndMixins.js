@@ -1,55 +1,40 @@
-/**
- * Create regular expression to find @mixins and @functions.
- *
- * @param {string} flags
- * @returns {RegExp}
- */
-function createDeclarationRegExp (flags) {
-  const maxDepth = 30
-
-  // FIXME: if function is not declared globally it may occasionally break
-  let detectFunctionMixinRegex =
-    '@(mixin|function)\\s+' + // Prelude
-    '([a-zA-Z_-]+)\\s*' + // Mixin/function name
-    '(?:\\([^)]+\\))?\\s*' + // Optional arguments
-    '\\{(?:\\{[^}]+}|[^}])+\\}'
-
-  for (let i = 1; i <= maxDepth; i++) {
-    detectFunctionMixinRegex = detectFunctionMixinRegex.replace('\\{[^}]+}', '(?:\\{(?:\\{[^}]+}|[^}])+\\})')
-  }
-
-  return new RegExp(detectFunctionMixinRegex, flags)
-}
+const parse = require('./parser/parse')
+const walk = require('./parser/walk')
+const editCode = require('./editCode')
 
 /**
  * Remove duplicated functions and mixins.
- * TODO: handle it also in SASS.
  *
  * @param {string} content
  * @param {string} format
+ * @param {OffsetMap} [offsets]  map of offsets to update
  * @returns {string}
  */
-function removeRedundantFunctionsAndMixins (content, format) {
-  if (format === 'scss') {
-    const regex = createDeclarationRegExp('ig')
-
-    const functions = {}
-    const mixins = {}
-
-    return content.replace(regex, (code, prelude, name) => {
-      const container = prelude === 'mixin' ? mixins : functions
-
-      if (container[name] === code) {
-        // Remove duplicate
-        return ''
-      }
-
+function removeRedundantFunctionsAndMixins (content, format, offsets) {
+  const declarations = { mixin: {}, function: {} }
+  const edits = []
+
+  walk(parse(content, format), node => {
+    if (node.type !== 'atrule' || !declarations[node.name]) {
+      return
+    }
+
+    const container = declarations[node.name]
+    const name = node.params.replace(/\s*\([^]*$/, '')
+    const code = content.substring(node.start, node.end)
+
+    if (container[name] === code) {
+      // Remove duplicate
+      edits.push({ start: node.start - node.indentation.length, end: node.end, value: '' })
+    } else {
       container[name] = code
-      return code
-    })
-  }
+    }
+
+    // Mixins and functions can't be nested
+    return false
+  })
 
-  return content
+  return editCode(content, edits, offsets)
 }
 
 module.exports = removeRedundantFunctionsAndMixins
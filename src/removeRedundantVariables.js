@@ -1,24 +1,156 @@
+const findSymbols = require('./findSymbols')
+const editCode = require('./editCode')
+
+/**
+ * Check if scope is the same or ancestor of another scope.
+ *
+ * @param {object} ancestor
+ * @param {object} scope
+ * @returns {boolean}
+ */
+function isAncestorScope (ancestor, scope) {
+  for (let current = scope; current; current = current.parent) {
+    if (current === ancestor) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Check if variable value is for sure not `null` (so next `!default` assignment will be ignored).
+ * Values with function calls are not accepted, as they may return `null`.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isDefinitelySet (value) {
+  return !/(?:^|[^\w$-])null(?![\w-])/i.test(value) && !/[\w-]\(/.test(value)
+}
+
+/**
+ * Find variable declarations which may be removed without changing result:
+ *
+ * - variables which are never used in their scope,
+ * - `!default` assignments following other assignment in the same scope (they are no-op),
+ * - assignments which are overwritten in the same scope before their value is used.
+ *
+ * Variables declared inside of flow control rules (`@if`, `@each` etc.) or with `!global` flag
+ * are only removed when they are not used at all, as it's not known when they are executed.
+ *
+ * @param {string} content
+ * @param {string} format
+ * @returns {Array<{ start: number, end: number, value: string }>}
+ */
+function findRedundantVariables (content, format) {
+  const { scopes, declarations, references, dynamic } = findSymbols(content, format)
+
+  // Variables may be referenced by names built in runtime
+  if (dynamic) {
+    return []
+  }
+
+  const variables = declarations.filter(declaration => declaration.kind === 'variable')
+  const usages = references.filter(reference => reference.kind === 'variable')
+  const callables = scopes.filter(scope => scope.node.type === 'atrule' && (scope.node.name === 'mixin' || scope.node.name === 'function'))
+  const isInside = (offset, scope) => scope.start <= offset && scope.end > offset
+
+  // Functions may assign global variables, so assignments with function calls shouldn't be removed then
+  const hasSideEffects = variables.some(variable => variable.node.global && callables.some(scope => scope.node.name === 'function' && isInside(variable.start, scope)))
+  const isRemovable = variable => !hasSideEffects || !/[\w-]\(/.test(variable.node.value)
+
+  // Global variables may be used anywhere, local ones only inside of their scope
+  const isUsed = variable => {
+    const scope = variable.scope
+
+    if (!scope.parent) {
+      return usages.some(usage => usage.name === variable.name)
+    }
+
+    // Assignment may be changing variable from outer scope
+    if (variables.some(other => other.name === variable.name && other.scope !== scope && isAncestorScope(other.scope, scope))) {
+      return true
+    }
+
+    return usages.some(usage => usage.name === variable.name && isInside(usage.start, scope))
+  }
+
+  const redundant = variables.filter(variable => !isUsed(variable) && isRemovable(variable))
+
+  // Group remaining assignments of each variable by scope
+  const groups = new Map()
+
+  for (const variable of variables) {
+    if (redundant.indexOf(variable) !== -1) {
+      continue
+    }
+
+    const key = variable.scope
+    const group = groups.get(key) || {}
+
+    group[variable.name] = (group[variable.name] || []).concat(variable)
+    groups.set(key, group)
+  }
+
+  for (const [ scope, group ] of groups) {
+    for (const name of Object.keys(group)) {
+      const list = group[name]
+
+      // Order of execution is known only for assignments placed directly in the scope
+      const isSimple = list.every(variable => variable.parent === scope.node && (!variable.node.global || !scope.parent)) &&
+        !variables.some(other => other.name === name && other.scope !== scope && (other.node.global || isAncestorScope(other.scope, scope)))
+
+      if (!isSimple) {
+        continue
+      }
+
+      // Global variables may be read by mixins and functions called between assignments
+      const isUsedByCallables = !scope.parent && usages.some(usage => usage.name === name && callables.some(callable => isInside(usage.start, callable)))
+
+      let current = list[0]
+
+      for (const variable of list.slice(1)) {
+        if (variable.node.default && isDefinitelySet(current.node.value)) {
+          // Variable is already set, so `!default` assignment is ignored
+          redundant.push(variable)
+          continue
+        }
+
+        const isUsedBetween = usages.some(usage => usage.name === name && usage.start >= current.end && usage.start < variable.end)
+
+        if (!variable.node.default && !isUsedBetween && !isUsedByCallables && isRemovable(current)) {
+          // Value is overwritten before it's used
+          redundant.push(current)
+        }
+
+        current = variable
+      }
+    }
+  }
+
+  return redundant.map(variable => ({ start: variable.start, end: variable.end, value: '' }))
+}
+
 /**
  * Remove redundant variables from code.
- * FIXME: it is ignoring context of variable, i.e. @mixin variable will be treat as global
- * TODO: it should remove not only '!default' variables
+ * As it's detecting unused variables too, it should be used only for whole stylesheet.
  *
  * @param {string} content
  * @param {string} format
+ * @param {OffsetMap} [offsets]  map of offsets to update
  * @returns {string}
  */
-function removeRedundantVariables (content, format) {
-  const regex = /(\$[a-z0-9A-Z\-_]+):\s*([^;]+?)\s*!default\s*(?:[;}]|$)/g
-  const matches = {}
+function removeRedundantVariables (content, format, offsets) {
+  let edits = findRedundantVariables(content, format)
 
-  return content.replace(regex, ($0, name) => {
-    if (matches[name]) {
-      return ''
-    }
+  // Removing variables may cause other ones to be unused
+  while (edits.length) {
+    content = editCode(content, edits, offsets)
+    edits = findRedundantVariables(content, format)
+  }
 
-    matches[name] = true
-    return $0
-  })
+  return content
 }
 
 module.exports = removeRedundantVariables
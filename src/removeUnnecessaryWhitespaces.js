@@ -1,24 +1,161 @@
+const editCode = require('./editCode')
+const parse = require('./parser/parse')
+const walk = require('./parser/walk')
+const tokenizeStylesheet = require('./parser/tokenizeStylesheet')
+
+// Whitespaces after and before these tokens are never required
+const spaceAfter = [ '{', '}', ';', ',', '(', '[' ]
+const spaceBefore = [ '{', '}', ';', ',', ')', ']' ]
+
+// At-rules which have selector as parameters
+const selectorRules = [ 'extend', 'at-root' ]
+
+/**
+ * Find statements (or headers of blocks) with their type, to know in which context whitespaces are.
+ *
+ * @param {string} code
+ * @param {object} root
+ * @returns {Array<{ node: object, start: number, end: number, selector: boolean, variable: boolean, header: boolean }>}  sorted by position, without trailing whitespaces
+ */
+function findStatements (code, root) {
+  const statements = []
+
+  walk(root, node => {
+    if (node.type === 'comment') {
+      return
+    }
+
+    const end = node.children ? node.blockStart : node.end
+
+    statements.push({
+      node: node,
+      start: node.start,
+      end: node.start + code.substring(node.start, end).replace(/\s+$/, '').length,
+      selector: node.type === 'rule' || (node.type === 'atrule' && selectorRules.indexOf(node.name) !== -1),
+      variable: node.type === 'variable',
+      header: !!node.children
+    })
+  })
+
+  return statements.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Build indentation of each statement (by its start), with the unit repeated for each nesting level.
+ *
+ * @param {object} root
+ * @param {string} unit
+ * @returns {object}  map of offsets of statements (and comments) to their indentation
+ */
+function buildIndentation (root, unit) {
+  const indentation = {}
+
+  walk(root, (node, parent, ancestors) => {
+    indentation[node.start] = unit.repeat(ancestors.length - 1)
+  })
+
+  return indentation
+}
+
 /**
  * Remove unnecessary whitespaces from code.
+ * Strings, `url()`s and interpolations are never changed, as whitespaces are only removed between tokens:
+ *
+ * - line breaks are removed (in SASS syntax, only inside of statements, i.e. after comma in list of selectors),
+ * - whitespaces around `{`, `}`, `;` and `,`, and after `:` (except of selectors and SASS declarations) are removed,
+ * - whitespaces before `:` are removed in SCSS statements, which are not selectors (i.e. `color : red`),
+ * - whitespaces around `>` and `+` combinators in selectors are removed,
+ * - other whitespaces are replaced with single space.
+ *
+ * In SASS syntax, blank lines are removed and indentation is normalized to specified unit.
  *
  * @param {string} code
  * @param {string} format
+ * @param {OffsetMap} [offsets]  map of offsets to update
+ * @param {string} [indentationUnit]  indentation of each level in SASS syntax
  * @returns {string}
  */
-function removeUnnecessaryWhitespaces (code, format) {
-  code = code.replace(/\r?\n([\t\r ]*?\n)+/g, '\n')
+function removeUnnecessaryWhitespaces (code, format, offsets, indentationUnit = ' ') {
+  const root = parse(code, format)
+  const tokens = tokenizeStylesheet(code, format)
+  const statements = findStatements(code, root)
+  const indentation = format === 'sass' ? buildIndentation(root, indentationUnit) : null
+  const edits = []
 
-  if (format === 'scss' || format === 'css') {
-    code = code.replace(/(?:(^|\n)(?:\s+))/g, '$1')
-    code = code.replace(/\n/g, '')
-  }
+  let statementIndex = 0
+  let depth = 0
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+    const previous = tokens[i - 1]
+    const next = tokens[i + 1]
+
+    // Find statement containing token (both lists are sorted)
+    while (statementIndex < statements.length && statements[statementIndex].end <= token.start) {
+      statementIndex++
+      depth = 0
+    }
+
+    if (token.type === '(') {
+      depth++
+    } else if (token.type === ')') {
+      depth = Math.max(0, depth - 1)
+    }
+
+    const statement = statements[statementIndex] && statements[statementIndex].start <= token.start
+      ? statements[statementIndex]
+      : null
 
-  // if (format === 'scss') {
-  //   // It may break strings, i.e. `content: "bla; "` will became `content: "bla"`
-  //   code = code.replace(/;\s+/g, ';')
-  // }
+    // Multi-line comments in SASS syntax are ended by indentation, so it should be updated as well
+    if (indentation && (token.type === 'comment' || token.type === 'lineComment') && indentation[token.start] != null) {
+      const regex = /\n[\t ]*(?=[^\s])/g
+      let match
 
-  return code
+      while ((match = regex.exec(token.value))) {
+        edits.push({ start: token.start + match.index, end: token.start + match.index + match[0].length, value: '\n' + indentation[token.start] + indentationUnit })
+      }
+    }
+
+    if (token.type !== 'space') {
+      continue
+    }
+
+    const isLineBreak = /[\r\n]/.test(token.value)
+
+    let value = ' '
+
+    if (indentation && isLineBreak && previous && !statement) {
+      // Line breaks between statements are required in SASS syntax
+      const lastLine = token.value.replace(/^[^]*\n/, '')
+      value = next ? '\n' + (indentation[next.start] != null ? indentation[next.start] : lastLine) : '\n'
+    } else if (previous && previous.type === 'lineComment') {
+      // Single-line comment has to be finished with line break (it's left as it is inside of SASS statement)
+      value = indentation ? token.value : '\n'
+    } else if (!previous || !next || spaceAfter.indexOf(previous.type) !== -1 || spaceBefore.indexOf(next.type) !== -1) {
+      value = ''
+    } else if (previous.type === ':' && statement && !statement.header && (!indentation || statement.variable || depth > 0)) {
+      // Whitespace after colon is required in selectors and nested properties,
+      // and in SASS syntax also in declarations, as otherwise they may be treated as selectors
+      value = ''
+    } else if (next.type === ':' && statement && !statement.header && !statement.selector && !indentation) {
+      // Whitespace before colon is not meaningful in SCSS declarations, but in selectors it's a descendant combinator
+      value = ''
+    } else if (statement && statement.selector && (
+      (previous.type === 'word' && /[>+]$/.test(previous.value)) ||
+      (next.type === 'word' && /^[>+]/.test(next.value))
+    )) {
+      value = ''
+    }
+
+    if (value !== token.value) {
+      edits.push({ start: token.start, end: token.end, value: value })
+    }
+  }
+
+  return editCode(code, edits, offsets)
 }
 
+removeUnnecessaryWhitespaces.findStatements = findStatements
+removeUnnecessaryWhitespaces.buildIndentation = buildIndentation
+
 module.exports = removeUnnecessaryWhitespaces
@@ -0,0 +1,44 @@
+const findUnusedDeclarations = require('./findUnusedDeclarations')
+const editCode = require('./editCode')
+
+/**
+ * Remove mixins, functions and placeholders which are never used (tree shaking).
+ * As removed code may be the only one using other declarations, it's repeated until nothing is found.
+ * It should be used only for whole stylesheet.
+ *
+ * @param {string} content
+ * @param {string} format
+ * @param {OffsetMap} [offsets]  map of offsets to update
+ * @param {Array<{ kind: string, name: string, source: string|null, original: number|null }>} [removed]  list to collect removed declarations
+ * @returns {string}
+ */
+function removeUnusedDeclarations (content, format, offsets, removed = []) {
+  while (true) {
+    const declarations = findUnusedDeclarations(content, format)
+      .filter(declaration => declaration.kind !== 'variable')
+
+    // Declarations nested in other removed ones are removed together with them
+    const outer = declarations.filter(declaration => !declarations.some(other => (
+      other !== declaration && other.start <= declaration.start && other.end >= declaration.end
+    )))
+
+    if (!outer.length) {
+      return content
+    }
+
+    for (const declaration of outer) {
+      const position = offsets ? offsets.find(declaration.start) : null
+
+      removed.push({
+        kind: declaration.kind,
+        name: declaration.name,
+        source: position ? position.source : null,
+        original: position ? position.original : null
+      })
+    }
+
+    content = editCode(content, outer.map(declaration => ({ start: declaration.start, end: declaration.end, value: '' })), offsets)
+  }
+}
+
+module.exports = removeUnusedDeclarations
@@ -0,0 +1,40 @@
+/**
+ * Replace code (as `String.prototype.replace`) and keep track of offsets, if map is passed.
+ *
+ * @param {string} code
+ * @param {RegExp} regex
+ * @param {string|function} replacement  string may contain $n references to groups
+ * @param {OffsetMap} [offsets]  map which should be updated
+ * @returns {string}
+ */
+function replaceCode (code, regex, replacement, offsets) {
+  const replacements = []
+
+  const result = code.replace(regex, (...args) => {
+    // Drop named groups, if there are any
+    if (typeof args[args.length - 1] === 'object') {
+      args.pop()
+    }
+
+    const match = args[0]
+    const index = args[args.length - 2]
+
+    const value = typeof replacement === 'function'
+      ? replacement(...args)
+      : replacement.replace(/\$(\d)/g, ($0, group) => args[group] || '')
+
+    if (value !== match) {
+      replacements.push({ start: index, end: index + match.length, length: value.length })
+    }
+
+    return value
+  })
+
+  if (offsets && replacements.length) {
+    offsets.replace(replacements)
+  }
+
+  return result
+}
+
+module.exports = replaceCode
@@ -0,0 +1,79 @@
+/**
+ * Resolve target of `exports` entry, with first matching condition.
+ *
+ * @param {string|object|Array|null} target
+ * @param {string[]} conditions
+ * @param {string} replacement  value for `*` pattern
+ * @returns {string[]}  list of possible paths
+ */
+function resolveTarget (target, conditions, replacement) {
+  if (typeof target === 'string') {
+    return [ target.replace(/\*/g, replacement) ]
+  }
+
+  if (Array.isArray(target)) {
+    return [].concat(...target.map(item => resolveTarget(item, conditions, replacement)))
+  }
+
+  if (target && typeof target === 'object') {
+    for (const condition of Object.keys(target)) {
+      if (condition === 'default' || conditions.indexOf(condition) !== -1) {
+        const result = resolveTarget(target[condition], conditions, replacement)
+
+        if (result.length) {
+          return result
+        }
+      }
+    }
+  }
+
+  return []
+}
+
+/**
+ * Resolve subpath of package, using `exports` field from its `package.json`.
+ *
+ * @param {string|object|Array} exportsField
+ * @param {string} subpath  either '.' or './path/to/file'
+ * @param {string[]} conditions  conditions in order of priority, i.e. [ 'sass', 'style' ]
+ * @returns {string[]}  list of possible paths, relative to package directory
+ */
+function resolvePackageExports (exportsField, subpath, conditions) {
+  // Handle shorthand for main entry only
+  const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some(key => key.startsWith('.'))
+
+  const exportsMap = isSubpathMap ? exportsField : { '.': exportsField }
+
+  if (exportsMap.hasOwnProperty(subpath)) {
+    return resolveTarget(exportsMap[subpath], conditions, '')
+  }
+
+  // Find the most specific pattern, i.e. `./themes/*`
+  let bestKey = null
+  let bestReplacement = null
+
+  for (const key of Object.keys(exportsMap)) {
+    const index = key.indexOf('*')
+
+    if (index === -1) {
+      continue
+    }
+
+    const prefix = key.substr(0, index)
+    const suffix = key.substr(index + 1)
+
+    if (subpath.length < key.length - 1 || !subpath.startsWith(prefix) || !subpath.endsWith(suffix)) {
+      continue
+    }
+
+    if (bestKey === null || prefix.length > bestKey.indexOf('*')) {
+      bestKey = key
+      bestReplacement = subpath.substring(prefix.length, subpath.length - suffix.length)
+    }
+  }
+
+  return bestKey === null ? [] : resolveTarget(exportsMap[bestKey], conditions, bestReplacement)
+}
+
+module.exports = resolvePackageExports
@@ -0,0 +1,92 @@
+const assert = require('assert')
+const JavaScriptConverter = require('../src/converters/JavaScriptConverter')
+
+const converter = new JavaScriptConverter()
+
+/**
+ * Convert SASS code to SCSS and back, and check both results.
+ *
+ * @param {string} sass
+ * @param {string} scss  expected SCSS code
+ * @param {string} [back]  expected SASS code after conversion back, by default the same as input
+ */
+function assertRoundTrip (sass, scss, back = sass) {
+  const converted = converter.convert(sass, 'sass', 'scss')
+  const convertedBack = converter.convert(converted, 'scss', 'sass')
+
+  assert.strictEqual(converted, scss)
+  assert.strictEqual(convertedBack, back)
+  assert.strictEqual(converter.convert(convertedBack, 'sass', 'scss'), scss)
+}
+
+describe('JavaScriptConverter', () => {
+  it('returns code without changes for the same format', () => {
+    assert.strictEqual(converter.convert('.a{color:red}', 'scss', 'scss'), '.a{color:red}')
+  })
+
+  describe('indentation', () => {
+    it('converts nested blocks', () => {
+      assertRoundTrip(
+        '.a\n  color: red\n  .b\n    margin: 0\n',
+        '.a {\n  color: red;\n  .b {\n    margin: 0;\n  }\n}\n'
+      )
+    })
+
+    it('normalizes tabs and wider indentation', () => {
+      assertRoundTrip(
+        '.a\n\tcolor: red\n\t&:hover\n\t\tcolor: blue\n',
+        '.a {\n  color: red;\n  &:hover {\n    color: blue;\n  }\n}\n',
+        '.a\n  color: red\n  &:hover\n    color: blue\n'
+      )
+      assert.strictEqual(
+        converter.convert('.a\n    color: red\n    &:hover\n        color: blue\n', 'sass', 'scss'),
+        '.a {\n  color: red;\n  &:hover {\n    color: blue;\n  }\n}\n'
+      )
+    })
+  })
+
+  describe('selectors', () => {
+    it('joins multi-line selectors', () => {
+      assertRoundTrip('.a,\n.b\n  color: red\n', '.a, .b {\n  color: red;\n}\n', '.a, .b\n  color: red\n')
+      assert.strictEqual(converter.convert('.a,\n.b {\n  color: red;\n}\n', 'scss', 'sass'), '.a, .b\n  color: red\n')
+    })
+  })
+
+  describe('comments', () => {
+    it('keeps single-line and multi-line comments', () => {
+      assertRoundTrip(
+        '// line comment\n.a\n  /* block\n     comment */\n  color: red\n',
+        '// line comment\n.a {\n  /* block\n     comment */\n  color: red;\n}\n'
+      )
+    })
+
+    it('moves trailing comment to separate line in SASS syntax', () => {
+      assert.strictEqual(converter.convert('.a\n  color: red // trailing\n', 'sass', 'scss'), '.a {\n  color: red; // trailing\n}\n')
+      assert.strictEqual(converter.convert('.a {\n  color: red; // trailing\n}\n', 'scss', 'sass'), '.a\n  color: red\n  // trailing\n')
+    })
+
+    it('ignores comment-like code inside of strings and urls', () => {
+      assertRoundTrip(
+        '.a\n  content: "// not a comment"\n  background: url(http://x/y.png)\n',
+        '.a {\n  content: "// not a comment";\n  background: url(http://x/y.png);\n}\n'
+      )
+    })
+  })
+
+  describe('mixins', () => {
+    it('converts `=` and `+` shorthands', () => {
+      assertRoundTrip(
+        '=rounded($r: 2px)\n  border-radius: $r\n.a\n  +rounded(4px)\n',
+        '@mixin rounded($r: 2px) {\n  border-radius: $r;\n}\n.a {\n  @include rounded(4px);\n}\n'
+      )
+    })
+
+    it('converts @mixin and @include into shorthands', () => {
+      assertRoundTrip(
+        '@mixin rounded($r)\n  border-radius: $r\n.a\n  @include rounded(4px)\n',
+        '@mixin rounded($r) {\n  border-radius: $r;\n}\n.a {\n  @include rounded(4px);\n}\n',
+        '=rounded($r)\n  border-radius: $r\n.a\n  +rounded(4px)\n'
+      )
+    })
+  })
+})
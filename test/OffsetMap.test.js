@@ -0,0 +1,43 @@
+const assert = require('assert')
+const OffsetMap = require('../src/OffsetMap')
+const editCode = require('../src/editCode')
+
+describe('OffsetMap', () => {
+  it('maps each character of identity map to the same offset', () => {
+    const offsets = OffsetMap.identity('a.scss')
+
+    assert.deepStrictEqual(offsets.find(0), { source: 'a.scss', original: 0 })
+    assert.deepStrictEqual(offsets.find(7), { source: 'a.scss', original: 7 })
+  })
+
+  it('maps whole point map to single offset', () => {
+    assert.deepStrictEqual(OffsetMap.point('a.scss', 3).find(10), { source: 'a.scss', original: 3 })
+  })
+
+  it('shifts offsets after edits', () => {
+    const offsets = OffsetMap.identity('a.scss')
+    const code = editCode('.a { color: red; }', [ { start: 4, end: 5, value: '' }, { start: 11, end: 12, value: '' } ], offsets)
+
+    assert.strictEqual(code, '.a {color:red; }')
+    assert.deepStrictEqual(offsets.find(code.indexOf('color')), { source: 'a.scss', original: 5 })
+    assert.deepStrictEqual(offsets.find(code.indexOf('red')), { source: 'a.scss', original: 12 })
+  })
+
+  it('maps replaced code to the beginning of replaced part', () => {
+    const offsets = OffsetMap.identity('a.scss')
+    const code = editCode('.a { color: red; }', [ { start: 12, end: 15, value: 'blue' } ], offsets)
+
+    assert.strictEqual(code, '.a { color: blue; }')
+    assert.deepStrictEqual(offsets.find(code.indexOf('blue') + 3), { source: 'a.scss', original: 12 })
+    assert.deepStrictEqual(offsets.find(code.indexOf(';')), { source: 'a.scss', original: 15 })
+  })
+
+  it('keeps map of inlined code', () => {
+    const offsets = OffsetMap.identity('main.scss')
+    const code = editCode('@import "a";\n.main {}', [ { start: 0, end: 12, value: '.a {}', map: OffsetMap.identity('_a.scss') } ], offsets)
+
+    assert.strictEqual(code, '.a {}\n.main {}')
+    assert.deepStrictEqual(offsets.find(3), { source: '_a.scss', original: 3 })
+    assert.deepStrictEqual(offsets.find(code.indexOf('.main')), { source: 'main.scss', original: 13 })
+  })
+})
@@ -0,0 +1,308 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const SassMerge = require('..')
+const SassMergeBuilder = require('../src/SassMergeBuilder')
+const { decodeMappings } = require('../src/composeSourceMap')
+const { serializeSourceMap } = require('../src/createSourceMap')
+
+const fixtures = path.join(__dirname, 'fixtures')
+
+/**
+ * Build stylesheet of each entry point separately.
+ *
+ * @param {object} entries
+ * @param {object} options
+ * @returns {Promise<object>}
+ */
+async function buildSeparately (entries, options) {
+  const results = {}
+
+  for (const name of Object.keys(entries)) {
+    results[name] = await new SassMerge(entries[name], options).build()
+  }
+
+  return results
+}
+
+describe('SassMerge', () => {
+  describe('with multiple entry points', () => {
+    const a = path.join(fixtures, 'multiple-entries', 'a.scss')
+    const b = path.join(fixtures, 'multiple-entries', 'b.scss')
+
+    for (const options of [ {}, { treeShaking: true }, { outputStyle: 'expanded' } ]) {
+      it('builds entry imported by other entry independently (' + JSON.stringify(options) + ')', async () => {
+        const expected = await buildSeparately({ a, b }, options)
+
+        assert.deepStrictEqual(await new SassMerge({ b, a }, options).build(), expected)
+        assert.deepStrictEqual(await new SassMerge({ a, b }, options).build(), expected)
+      })
+    }
+
+    it('keeps declarations from imported entry, which are used by importing one', async () => {
+      const result = await new SassMerge({ b, a }, { treeShaking: true }).build()
+
+      assert.ok(result.a.indexOf('$gap:1px;') !== -1)
+      assert.ok(result.a.indexOf('@mixin spaced') !== -1)
+      assert.ok(result.b.indexOf('@mixin spaced') === -1)
+    })
+  })
+
+  describe('with modules', () => {
+    const root = path.join(fixtures, 'report-modules')
+    const input = path.join(root, 'index.scss')
+    const tokens = path.join(root, '_tokens.scss')
+
+    it('reports unused members of modules by their original names', async () => {
+      const report = await new SassMerge(input).getReport([ root ])
+
+      assert.deepStrictEqual(report.unusedDeclarations, [
+        { kind: 'variable', name: '$tv', file: tokens, line: 1 },
+        { kind: 'mixin', name: 'tm', file: tokens, line: 3 }
+      ])
+    })
+
+    it('passes original names of removed members to onTreeShaking', async () => {
+      let removed = null
+
+      await new SassMerge(input, { treeShaking: true, onTreeShaking: x => { removed = x } }).build()
+
+      assert.deepStrictEqual(removed.map(declaration => declaration.name), [ 'tm' ])
+    })
+  })
+  describe('with plain CSS imports', () => {
+    const input = path.join(fixtures, 'charset', 'main.scss')
+
+    it('hoists nested plain CSS import after @charset', async () => {
+      assert.strictEqual(await new SassMerge(input).build(), '@charset "UTF-8";@import url("https://x/f.css");.a{color:red;}')
+      assert.strictEqual(await new SassMerge(input, { target: 'sass' }).build(), '@charset "UTF-8"\n@import url("https://x/f.css")\n.a\n color: red\n')
+    })
+  })
+  describe('with glob imports', () => {
+    const root = path.join(fixtures, 'glob')
+
+    /**
+     * Build stylesheet, collecting warnings.
+     *
+     * @param {string} fileName
+     * @param {object} [options]
+     * @returns {Promise<{ stylesheet: string, warnings: string[] }>}
+     */
+    async function build (fileName, options = {}) {
+      const warnings = []
+      const stylesheet = await new SassMerge(path.join(root, fileName), Object.assign({ onWarning: message => warnings.push(message) }, options)).build()
+
+      return { stylesheet, warnings }
+    }
+
+    it('inlines matching files, sorted without partial prefix', async () => {
+      assert.deepStrictEqual(await build('main.scss'), { stylesheet: '.x{color:red;}.y{color:green;}', warnings: [] })
+    })
+
+    it('warns about pattern without base directory', async () => {
+      const { stylesheet, warnings } = await build('missing.scss')
+
+      assert.strictEqual(stylesheet, '.x{color:red;}.y{color:green;}.b{color:blue;}')
+      assert.deepStrictEqual(warnings, [ `SassMerge: base directory of "missing/**/*" imported in "${path.join(root, 'missing.scss')}" doesn't exist` ])
+    })
+
+    it('warns about pattern without matching files', async () => {
+      const { stylesheet, warnings } = await build('empty.scss')
+
+      assert.strictEqual(stylesheet, '.b{color:blue;}')
+      assert.deepStrictEqual(warnings, [ `SassMerge: "components/*.sass" imported in "${path.join(root, 'empty.scss')}" doesn't match any file` ])
+    })
+
+    it('fails for pattern without matching files in strict mode', async () => {
+      await assert.rejects(build('empty.scss', { strict: true }), /doesn't match any file/)
+    })
+
+    it('watches nearest existing directory, when base directory is missing', async () => {
+      const result = await new SassMergeBuilder(new SassMerge(path.join(root, 'missing.scss')))._build()
+
+      assert.deepStrictEqual(result.directories.sort(), [ root, path.join(root, 'components') ])
+    })
+  })
+  describe('resolving imports', () => {
+    const root = path.join(fixtures, 'resolve')
+    const src = path.join(root, 'src')
+    const options = { includePaths: [ path.join(root, 'include') ], globalDirectories: [ path.join(root, 'packages') ] }
+    const merger = new SassMerge(path.join(src, 'main.scss'), options)
+
+    /**
+     * Resolve path imported from main file.
+     *
+     * @param {string} url
+     * @returns {Promise<string|null>}
+     */
+    function resolve (url) {
+      return merger.resolveFilePath(url, path.join(src, 'main.scss'))
+    }
+
+    it('finds file or its partial, with any extension', async () => {
+      assert.strictEqual(await resolve('partial'), path.join(src, '_partial.scss'))
+      assert.strictEqual(await resolve('plain'), path.join(src, 'plain.scss'))
+      assert.strictEqual(await resolve('_partial.scss'), path.join(src, '_partial.scss'))
+    })
+
+    it('finds index file or its partial in directory', async () => {
+      assert.strictEqual(await resolve('dir'), path.join(src, 'dir', '_index.scss'))
+      assert.strictEqual(await resolve('other'), path.join(src, 'other', 'index.sass'))
+    })
+
+    it('prefers stylesheets over CSS files', async () => {
+      assert.strictEqual(await resolve('both'), path.join(src, 'both.scss'))
+      assert.strictEqual(await resolve('css-only'), path.join(src, 'css-only.css'))
+    })
+
+    it('finds file in include paths', async () => {
+      assert.strictEqual(await resolve('shared'), path.join(root, 'include', '_shared.scss'))
+    })
+
+    it('finds entry of package by main fields', async () => {
+      assert.strictEqual(await resolve('pkg'), path.join(root, 'packages', 'pkg', 'scss', 'main.scss'))
+      assert.strictEqual(await resolve('~pkg'), path.join(root, 'packages', 'pkg', 'scss', 'main.scss'))
+    })
+
+    it('finds file of package by its exports', async () => {
+      assert.strictEqual(await resolve('exported/theme'), path.join(root, 'packages', 'exported', 'lib', '_theme.scss'))
+    })
+
+    it('resolves to null, when file is not found', async () => {
+      assert.strictEqual(await resolve('missing'), null)
+    })
+
+    it('fails, when file and its partial exist both', async () => {
+      await assert.rejects(resolve('amb'), /"amb" is ambiguous, it matches multiple files:/)
+      await assert.rejects(new SassMerge(path.join(src, 'ambiguous.scss'), options).build(), /"amb" is ambiguous/)
+    })
+
+    it('inlines files found by each lookup step', async () => {
+      assert.strictEqual(
+        await merger.build(),
+        '.partial{a:b;}.plain{a:b;}.dir{a:b;}.other{a:b;}.css-only{a:b;}.both-scss{a:b;}.shared{a:b;}.pkg{a:b;}.theme{a:b;}'
+      )
+    })
+  })
+  describe('with css target', () => {
+    const root = path.join(fixtures, 'css-target')
+    const input = path.join(root, 'main.scss')
+    const vars = path.join(root, '_vars.scss')
+
+    it('compiles built stylesheet with function compiler', async () => {
+      const calls = []
+      const compiler = (code, options) => {
+        calls.push({ code, options })
+        return code.replace('$missing', 'red')
+      }
+
+      const result = await new SassMerge(input, { target: 'css', compiler }).build()
+
+      assert.deepStrictEqual(calls, [ {
+        code: '$size:10px;.vars{color:$missing;}.main{width:$size;}',
+        options: { filePath: input, sourceMap: false, style: 'compressed', loadPaths: [ root ] }
+      } ])
+
+      assert.deepStrictEqual(result, {
+        stylesheet: '$size:10px;.vars{color:red;}.main{width:$size;}',
+        map: null,
+        scss: '$size:10px;.vars{color:$missing;}.main{width:$size;}',
+        scssMap: null
+      })
+    })
+
+    it('composes source map of compiler with source map of built stylesheet', async () => {
+      // Compiled code is the same as built stylesheet, but it has mappings only for beginning of rules
+      const compiler = async code => ({
+        css: code,
+        map: serializeSourceMap([ [ [ 0, 0, 0, 0 ], [ 33, 0, 0, 33 ] ] ], [ 'stdin' ], { stdin: code })
+      })
+
+      const result = await new SassMerge(input, { target: 'css', compiler, sourceMap: true }).build()
+
+      assert.deepStrictEqual(result.map.sources, [ vars, input ])
+      assert.deepStrictEqual(decodeMappings(result.map.mappings), [ [ [ 0, 0, 1, 0 ], [ 33, 1, 2, 0 ] ] ])
+    })
+
+    it('maps compilation error with offset to original file and line', async () => {
+      const compiler = code => {
+        const error = new Error('Undefined variable.\nDetails')
+        error.offset = code.indexOf('$missing')
+        throw error
+      }
+
+      await assert.rejects(new SassMerge(input, { target: 'css', compiler }).build(), error => {
+        assert.strictEqual(error.message, `SassMerge: compilation failed in ${vars}:5:10: Undefined variable.`)
+        assert.deepStrictEqual([ error.file, error.line, error.column ], [ vars, 5, 10 ])
+        assert.strictEqual(error.originalError.message, 'Undefined variable.\nDetails')
+
+        return true
+      })
+    })
+
+    it('maps compilation error with line and column to original file and line', async () => {
+      const compiler = code => {
+        const error = new Error('Undefined variable.')
+        error.line = 1
+        error.column = code.indexOf('.main') + 1
+        throw error
+      }
+
+      await assert.rejects(new SassMerge(input, { target: 'css', compiler }).build(), error => {
+        assert.deepStrictEqual([ error.file, error.line, error.column ], [ input, 3, 1 ])
+
+        return true
+      })
+    })
+  })
+  describe('with conflicting declarations', () => {
+    let root
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-merge-conflicts-'))
+      fs.writeFileSync(path.join(root, 'main.scss'), '@import "a";\n@import "b";\n')
+      fs.writeFileSync(path.join(root, '_a.scss'), '@mixin m {\n  color: red;\n}\n')
+      fs.writeFileSync(path.join(root, '_b.scss'), '@mixin m {\n  color: blue;\n}\n')
+    })
+
+    afterEach(() => {
+      for (const fileName of fs.readdirSync(root)) {
+        fs.unlinkSync(path.join(root, fileName))
+      }
+
+      fs.rmdirSync(root)
+    })
+
+    it('reports conflicts again only when files involved in them are changed', async () => {
+      const warnings = []
+      const builder = new SassMergeBuilder(new SassMerge(path.join(root, 'main.scss'), { onWarning: message => warnings.push(message) }))
+      const cache = {}
+
+      await builder._build(cache)
+      assert.strictEqual(warnings.length, 1)
+      assert.ok(/mixin "m" declared in .*_a\.scss:1 is redefined in .*_b\.scss:1/.test(warnings[0]))
+
+      // Declarations of unchanged files are not collected again
+      const declarations = cache[path.join(root, '_a.scss')].getDeclarations()
+
+      await builder._build(cache)
+      assert.strictEqual(warnings.length, 1)
+      assert.strictEqual(cache[path.join(root, '_a.scss')].getDeclarations(), declarations)
+
+      fs.writeFileSync(path.join(root, '_b.scss'), '.b {\n  margin: 0;\n}\n\n@mixin m {\n  color: green;\n}\n')
+
+      await builder._build(cache)
+      assert.strictEqual(warnings.length, 2)
+      assert.ok(/is redefined in .*_b\.scss:5/.test(warnings[1]))
+    })
+
+    it('fails in strict mode also when files are not changed', async () => {
+      const builder = new SassMergeBuilder(new SassMerge(path.join(root, 'main.scss'), { strict: true }))
+      const cache = {}
+
+      await assert.rejects(builder._build(cache), /conflicting declarations found/)
+      await assert.rejects(builder._build(cache), /conflicting declarations found/)
+    })
+  })
+})
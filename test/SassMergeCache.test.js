@@ -0,0 +1,38 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const OffsetMap = require('../src/OffsetMap')
+const SassMergeCache = require('../src/SassMergeCache')
+
+describe('SassMergeCache', () => {
+  let directory
+  let cache
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-merge-cache-'))
+    cache = new SassMergeCache(directory, { name: 'test', version: '1.0.0' }, {})
+  })
+
+  afterEach(async () => {
+    await cache.clear()
+    fs.rmdirSync(directory)
+  })
+
+  it('reuses entry for the same contents', async () => {
+    await cache.set('/a.sass', '.a\n  b: c\n', 'sass', 'scss', '.a { b: c; }')
+
+    assert.deepStrictEqual(await cache.get('/a.sass', '.a\n  b: c\n', 'sass', 'scss'), { content: '.a { b: c; }', offsets: null })
+    assert.strictEqual(await cache.get('/a.sass', '.a\n  b: d\n', 'sass', 'scss'), null)
+  })
+
+  it('invalidates offsets, when only comments of original source are changed', async () => {
+    const content = '.a\n  b: c\n'
+    const offsets = OffsetMap.identity('/a.sass')
+
+    await cache.set('/a.sass', content, 'sass', 'scss', '.a { b: c; }', offsets, '// x\n.a\n  b: c\n')
+
+    assert.ok(await cache.get('/a.sass', content, 'sass', 'scss', '// x\n.a\n  b: c\n'))
+    assert.strictEqual(await cache.get('/a.sass', content, 'sass', 'scss', '// longer\n.a\n  b: c\n'), null)
+  })
+})
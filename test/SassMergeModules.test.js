@@ -0,0 +1,64 @@
+const assert = require('assert')
+const path = require('path')
+const SassMerge = require('..')
+
+const root = path.join(__dirname, 'fixtures', 'modules')
+
+// Flattened code of `_tokens.scss` module
+const tokens = '$tokens__size:10px !default;$tokens__-private:2;' +
+  '@function tokens__double($x){@return $x * $tokens__-private;}' +
+  '@mixin tokens__box{width:tokens__double($tokens__size);}'
+
+/**
+ * Build fixture file.
+ *
+ * @param {string} fileName
+ * @returns {Promise<string>}
+ */
+function build (fileName) {
+  return new SassMerge(path.join(root, fileName)).build()
+}
+
+describe('SassMergeModules', () => {
+  it('renames members of module used with namespace, also inside of interpolations', async () => {
+    assert.strictEqual(
+      await build('rename.scss'),
+      tokens + '.a{@include tokens__box;height:$tokens__size;content:"#{tokens__double(1px)}";margin:#{$tokens__size};}'
+    )
+  })
+
+  it('renames members of module used without namespace', async () => {
+    assert.strictEqual(await build('global.scss'), tokens + '.a{@include tokens__box;height:$tokens__size;}')
+  })
+
+  it('configures module with `with (...)`', async () => {
+    assert.strictEqual(
+      await build('configure.scss'),
+      tokens.replace('$tokens__size:10px !default;', '$tokens__size:20px;') + '.a{@include tokens__box;}'
+    )
+  })
+
+  it('resolves members forwarded with prefix and `show`', async () => {
+    assert.strictEqual(await build('prefix.scss'), tokens + '.a{@include tokens__box;height:$tokens__size;}')
+  })
+
+  it('fails for members not listed in `show`', async () => {
+    await assert.rejects(build('not-shown.scss'), /undefined function "show\.tk-double"/)
+  })
+
+  it('fails for members listed in `hide`', async () => {
+    await assert.rejects(build('hidden.scss'), /undefined function "hide\.double"/)
+  })
+
+  it('fails for private member reached through @forward', async () => {
+    await assert.rejects(build('private.scss'), /undefined variable "hide\.\$-private"/)
+  })
+
+  it('hoists built-in modules and keeps their namespaces', async () => {
+    assert.strictEqual(await build('builtin.scss'), '@use "sass:math";' + tokens + '.a{width:math.div($tokens__size,2);}')
+  })
+
+  it('replaces custom namespace of built-in module with default one', async () => {
+    assert.strictEqual(await build('builtin-alias.scss'), '@use "sass:math";.a{width:math.div(10px,2);}')
+  })
+})
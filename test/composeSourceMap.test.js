@@ -0,0 +1,29 @@
+const assert = require('assert')
+const OffsetMap = require('../src/OffsetMap')
+const editCode = require('../src/editCode')
+const composeSourceMap = require('../src/composeSourceMap')
+const { serializeSourceMap } = require('../src/createSourceMap')
+
+describe('composeSourceMap', () => {
+  it('decodes mappings encoded by serializer', () => {
+    const lines = [ [ [ 0, 0, 0, 0 ], [ 4, 1, 2, 3 ] ], [], [ [ 2, 0, 1, 0 ] ] ]
+    const map = serializeSourceMap(lines, [ 'a', 'b' ], { a: '', b: '' })
+
+    assert.deepStrictEqual(composeSourceMap.decodeMappings(map.mappings), lines)
+  })
+
+  it('maps compiled code through intermediate code to original files', () => {
+    // Intermediate code is built from original file, with comment removed
+    const source = '/* x */\n.a{color:red}'
+    const offsets = OffsetMap.identity('a.scss')
+    const code = editCode(source, [ { start: 0, end: 8, value: '' } ], offsets)
+
+    // Compiled code `.a {\n  color: red;\n}` mapped to intermediate code
+    const map = serializeSourceMap([ [ [ 0, 0, 0, 0 ] ], [ [ 2, 0, 0, 3 ] ], [ [ 0, 0, 0, 12 ] ] ], [ 'stdin' ], { stdin: code })
+    const composed = composeSourceMap(map, code, offsets, { 'a.scss': source }, 'a.css')
+
+    assert.strictEqual(composed.file, 'a.css')
+    assert.deepStrictEqual(composed.sources, [ 'a.scss' ])
+    assert.deepStrictEqual(composeSourceMap.decodeMappings(composed.mappings), [ [ [ 0, 0, 1, 0 ] ], [ [ 2, 0, 1, 3 ] ], [ [ 0, 0, 1, 12 ] ] ])
+  })
+})
@@ -0,0 +1,53 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const SassMerge = require('..')
+const { decodeMappings } = require('../src/composeSourceMap')
+
+const root = path.join(__dirname, 'fixtures', 'source-map')
+const input = path.join(root, 'main.scss')
+const partial = path.join(root, '_partial.sass')
+
+/**
+ * Find original position of code at specified place of generated code.
+ *
+ * @param {object} map
+ * @param {string} code  generated code
+ * @param {string} text  text to find in generated code
+ * @returns {{ source: string, line: number, column: number }|null}  zero-based line and column
+ */
+function findOriginal (map, code, text) {
+  const index = code.indexOf(text)
+  const line = code.substr(0, index).split('\n').length - 1
+  const column = index - code.lastIndexOf('\n', index - 1) - 1
+  const mapping = decodeMappings(map.mappings)[line].filter(segment => segment[0] <= column).pop()
+
+  return mapping ? { source: map.sources[mapping[1]], line: mapping[2], column: mapping[3] } : null
+}
+
+describe('createSourceMap', () => {
+  for (const options of [ {}, { outputStyle: 'expanded' }, { target: 'sass' } ]) {
+    describe('for build with ' + JSON.stringify(options), () => {
+      let result
+
+      before(async () => {
+        result = await new SassMerge(input, Object.assign({ sourceMap: true }, options)).build()
+      })
+
+      it('includes contents of sources', () => {
+        assert.deepStrictEqual(result.map.sources, [ partial, input ])
+        assert.deepStrictEqual(result.map.sourcesContent, [ fs.readFileSync(partial, 'utf8'), fs.readFileSync(input, 'utf8') ])
+      })
+
+      it('maps rules of converted and inlined partial to their original place', () => {
+        assert.deepStrictEqual(findOriginal(result.map, result.stylesheet, '.partial'), { source: partial, line: 2, column: 0 })
+        assert.deepStrictEqual(findOriginal(result.map, result.stylesheet, '.nested'), { source: partial, line: 5, column: 2 })
+        assert.deepStrictEqual(findOriginal(result.map, result.stylesheet, 'color'), { source: partial, line: 3, column: 2 })
+      })
+
+      it('maps rules of entry point to their original place', () => {
+        assert.deepStrictEqual(findOriginal(result.map, result.stylesheet, '.main'), { source: input, line: 3, column: 0 })
+      })
+    })
+  }
+})
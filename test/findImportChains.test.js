@@ -0,0 +1,47 @@
+const assert = require('assert')
+const findImportChains = require('../src/findImportChains')
+
+/**
+ * Create edge of dependency graph.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @returns {{ from: string, to: string }}
+ */
+function edge (from, to) {
+  return { from: from, to: to }
+}
+
+describe('findImportChains', () => {
+  it('returns empty chain for entry point itself', () => {
+    const graph = { entries: { main: 'main' }, edges: [ edge('main', 'a') ] }
+
+    assert.deepStrictEqual(findImportChains(graph, 'main'), [ { entry: 'main', chain: [] } ])
+  })
+
+  it('finds all chains in order of edges', () => {
+    const edges = [ edge('main', 'a'), edge('main', 'b'), edge('a', 'c'), edge('b', 'c'), edge('c', 'd') ]
+    const graph = { entries: { main: 'main', other: 'b' }, edges: edges }
+
+    assert.deepStrictEqual(findImportChains(graph, 'd'), [
+      { entry: 'main', chain: [ edges[0], edges[2], edges[4] ] },
+      { entry: 'main', chain: [ edges[1], edges[3], edges[4] ] },
+      { entry: 'other', chain: [ edges[3], edges[4] ] }
+    ])
+  })
+
+  it('skips circular dependencies', () => {
+    const edges = [ edge('main', 'a'), edge('a', 'b'), edge('b', 'a'), edge('b', 'main'), edge('b', 'c') ]
+    const graph = { entries: { main: 'main' }, edges: edges }
+
+    assert.deepStrictEqual(findImportChains(graph, 'c'), [
+      { entry: 'main', chain: [ edges[0], edges[1], edges[4] ] }
+    ])
+  })
+
+  it('returns no chains for file which is not imported', () => {
+    const graph = { entries: { main: 'main' }, edges: [ edge('main', 'a') ] }
+
+    assert.deepStrictEqual(findImportChains(graph, 'x'), [])
+  })
+})
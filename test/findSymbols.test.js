@@ -0,0 +1,48 @@
+const assert = require('assert')
+const findSymbols = require('../src/findSymbols')
+
+/**
+ * Get names of referenced symbols of specified kind.
+ *
+ * @param {string} code
+ * @param {string} format
+ * @param {string} kind
+ * @returns {string[]}
+ */
+function getReferences (code, format, kind) {
+  return findSymbols(code, format).references
+    .filter(reference => reference.kind === kind)
+    .map(reference => reference.name)
+}
+
+describe('findSymbols', () => {
+  describe('variable references', () => {
+    it('finds variable negated with unary minus', () => {
+      assert.deepStrictEqual(getReferences('$gutter: 1px; .a { margin: -$gutter; }', 'scss', 'variable'), [ 'gutter' ])
+      assert.deepStrictEqual(getReferences('$gutter: 1px\n.a\n  margin: -$gutter\n', 'sass', 'variable'), [ 'gutter' ])
+    })
+
+    it('finds variable used in subtraction without spaces', () => {
+      assert.deepStrictEqual(getReferences('$b: 1px; .a { width: 1px-$b; }', 'scss', 'variable'), [ 'b' ])
+    })
+
+    it('finds variable negated inside of interpolation', () => {
+      assert.deepStrictEqual(getReferences('$b: 1px; .a { width: #{-$b}; }', 'scss', 'variable'), [ 'b' ])
+    })
+
+    it('ignores escaped dollar sign', () => {
+      assert.deepStrictEqual(getReferences('.a { content: \\$b; }', 'scss', 'variable'), [])
+    })
+  })
+
+  describe('function references', () => {
+    it('finds function called after minus sign', () => {
+      assert.deepStrictEqual(getReferences('.a { margin: -dbl(2px); }', 'scss', 'function'), [ '-dbl', 'dbl' ])
+      assert.deepStrictEqual(getReferences('.a { margin: #{-dbl(2px)}; }', 'scss', 'function'), [ '-dbl', 'dbl' ])
+    })
+
+    it('finds function with name starting with double dash only once', () => {
+      assert.deepStrictEqual(getReferences('.a { margin: --dbl(2px); }', 'scss', 'function'), [ '--dbl' ])
+    })
+  })
+})
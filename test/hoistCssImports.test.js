@@ -0,0 +1,28 @@
+const assert = require('assert')
+const hoistCssImports = require('../src/hoistCssImports')
+
+describe('hoistCssImports', () => {
+  it('moves plain CSS imports on top of stylesheet, without duplicates', () => {
+    assert.strictEqual(
+      hoistCssImports('.a{color:red;}@import "a.css";@import url("a.css");@import "a.css";', 'scss'),
+      '@import "a.css";\n@import url("a.css");\n.a{color:red;}'
+    )
+  })
+
+  it('keeps Sass imports in place', () => {
+    const code = '.a{color:red;}@import "a";'
+
+    assert.strictEqual(hoistCssImports(code, 'scss'), code)
+  })
+
+  it('puts imports after leading @charset', () => {
+    assert.strictEqual(
+      hoistCssImports('/* x */@charset "UTF-8";.a{color:red;}@import "a.css";', 'scss'),
+      '/* x */@charset "UTF-8";@import "a.css";\n.a{color:red;}'
+    )
+    assert.strictEqual(
+      hoistCssImports('@charset "UTF-8"\n.a\n  color: red\n@import "a.css"', 'sass'),
+      '@charset "UTF-8"\n@import "a.css"\n.a\n  color: red\n'
+    )
+  })
+})
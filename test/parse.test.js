@@ -0,0 +1,108 @@
+const assert = require('assert')
+const parse = require('../src/parser/parse')
+
+/**
+ * Simplify node to its type, name and children, for comparison.
+ *
+ * @param {object} node
+ * @returns {object}
+ */
+function simplify (node) {
+  const result = { type: node.type }
+
+  for (const key of [ 'name', 'params', 'selector', 'property', 'value' ]) {
+    if (node[key] != null) {
+      result[key] = node[key]
+    }
+  }
+
+  if (node.children && node.children.length) {
+    result.children = node.children.map(simplify)
+  }
+
+  return result
+}
+
+describe('parse', () => {
+  describe('SCSS syntax', () => {
+    it('builds tree of nested blocks', () => {
+      assert.deepStrictEqual(simplify(parse('.a { .b { c: d; } @media x { e: f } }', 'scss')), {
+        type: 'stylesheet',
+        children: [ {
+          type: 'rule',
+          selector: '.a',
+          children: [
+            { type: 'rule', selector: '.b', children: [ { type: 'declaration', property: 'c', value: 'd' } ] },
+            { type: 'atrule', name: 'media', params: 'x', children: [ { type: 'declaration', property: 'e', value: 'f' } ] }
+          ]
+        } ]
+      })
+    })
+
+    it('ignores brackets and semicolons inside of strings, comments, interpolations and urls', () => {
+      const code = '@mixin m($a: "{;") { .x#{$a + "}"} { y: url(a{b};.png); } } // }\n/* { */ $m: (a: 1);'
+
+      assert.deepStrictEqual(simplify(parse(code, 'scss')).children, [
+        {
+          type: 'atrule',
+          name: 'mixin',
+          params: 'm($a: "{;")',
+          children: [
+            { type: 'rule', selector: '.x#{$a + "}"}', children: [ { type: 'declaration', property: 'y', value: 'url(a{b};.png)' } ] }
+          ]
+        },
+        { type: 'comment', value: '// }' },
+        { type: 'comment', value: '/* { */' },
+        { type: 'variable', name: '$m', value: '(a: 1)' }
+      ])
+    })
+
+    it('distinguishes pseudo-classes from declarations', () => {
+      assert.deepStrictEqual(simplify(parse('a:hover { b:c; }', 'scss')).children, [
+        { type: 'rule', selector: 'a:hover', children: [ { type: 'declaration', property: 'b', value: 'c' } ] }
+      ])
+    })
+
+    it('sets offsets of nodes and blocks', () => {
+      const code = '.a { b: c; }'
+      const node = parse(code, 'scss').children[0]
+
+      assert.deepStrictEqual([ node.start, node.blockStart, node.end ], [ 0, 3, code.length ])
+      assert.strictEqual(code.substring(node.children[0].start, node.children[0].end), 'b: c;')
+    })
+  })
+
+  describe('SASS syntax', () => {
+    const code = '.a,\n.b\n  color: red\n  // note\n  .c\n    margin: 0\n  /* multi\n     line */\n=m($x)\n  +n\n$v: 1px !default\n'
+
+    it('builds tree from indentation', () => {
+      assert.deepStrictEqual(simplify(parse(code, 'sass')).children, [
+        {
+          type: 'rule',
+          selector: '.a,\n.b',
+          children: [
+            { type: 'declaration', property: 'color', value: 'red' },
+            { type: 'comment', value: '// note' },
+            { type: 'rule', selector: '.c', children: [ { type: 'declaration', property: 'margin', value: '0' } ] },
+            { type: 'comment', value: '/* multi\n     line */' }
+          ]
+        },
+        { type: 'atrule', name: 'mixin', params: 'm($x)', children: [ { type: 'atrule', name: 'include', params: 'n' } ] },
+        { type: 'variable', name: '$v', value: '1px !default' }
+      ])
+    })
+
+    it('detects flags of variables', () => {
+      const variable = parse(code, 'sass').children[2]
+
+      assert.strictEqual(variable.default, true)
+      assert.strictEqual(variable.global, false)
+    })
+
+    it('keeps indentation of nodes', () => {
+      const rule = parse(code, 'sass').children[0]
+
+      assert.deepStrictEqual(rule.children.map(node => node.indentation), [ '  ', '  ', '  ', '  ' ])
+    })
+  })
+})
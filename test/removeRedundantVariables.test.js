@@ -0,0 +1,20 @@
+const assert = require('assert')
+const removeRedundantVariables = require('../src/removeRedundantVariables')
+
+describe('removeRedundantVariables', () => {
+  it('keeps variable negated with unary minus', () => {
+    const code = '$gutter: 1px; .a { margin: -$gutter; }'
+
+    assert.strictEqual(removeRedundantVariables(code, 'scss'), code)
+  })
+
+  it('keeps variable used in subtraction without spaces', () => {
+    const code = '$b: 1px; .a { width: 1px-$b; }'
+
+    assert.strictEqual(removeRedundantVariables(code, 'scss'), code)
+  })
+
+  it('removes variable which is never used', () => {
+    assert.strictEqual(removeRedundantVariables('$b: 1px; .a { width: 1px; }', 'scss'), ' .a { width: 1px; }')
+  })
+})
@@ -0,0 +1,16 @@
+const assert = require('assert')
+const removeUnnecessaryWhitespaces = require('../src/removeUnnecessaryWhitespaces')
+
+describe('removeUnnecessaryWhitespaces', () => {
+  it('removes whitespaces around colon in SCSS declarations', () => {
+    assert.strictEqual(removeUnnecessaryWhitespaces('.a { color : red; $size : 1px; }', 'scss'), '.a{color:red;$size:1px;}')
+  })
+
+  it('keeps whitespace before colon in selectors', () => {
+    assert.strictEqual(removeUnnecessaryWhitespaces('.a :hover { color : red; }', 'scss'), '.a :hover{color:red;}')
+  })
+
+  it('keeps whitespaces around colon in SASS declarations', () => {
+    assert.strictEqual(removeUnnecessaryWhitespaces('.a\n  color : red\n', 'sass'), '.a\n color : red\n')
+  })
+})
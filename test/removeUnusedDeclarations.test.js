@@ -0,0 +1,16 @@
+const assert = require('assert')
+const removeUnusedDeclarations = require('../src/removeUnusedDeclarations')
+
+describe('removeUnusedDeclarations', () => {
+  it('keeps function called after minus sign', () => {
+    const scss = '@function dbl($x) { @return $x * 2; } .a { margin: -dbl(2px); }'
+    const sass = '@function dbl($x)\n  @return $x * 2\n.a\n  margin: -dbl(2px)\n'
+
+    assert.strictEqual(removeUnusedDeclarations(scss, 'scss'), scss)
+    assert.strictEqual(removeUnusedDeclarations(sass, 'sass'), sass)
+  })
+
+  it('removes function which is never called', () => {
+    assert.strictEqual(removeUnusedDeclarations('@function dbl($x) { @return $x * 2; } .a { margin: 2px; }', 'scss'), ' .a { margin: 2px; }')
+  })
+})
@@ -0,0 +1,47 @@
+const assert = require('assert')
+const tokenizeStylesheet = require('../src/parser/tokenizeStylesheet')
+
+/**
+ * Get meaningful tokens of code, as `type:value` strings.
+ *
+ * @param {string} code
+ * @param {string} format
+ * @returns {string[]}
+ */
+function getTokens (code, format) {
+  return tokenizeStylesheet(code, format)
+    .filter(token => token.type !== 'space')
+    .map(token => token.type + ':' + token.value)
+}
+
+describe('tokenizeStylesheet', () => {
+  it('keeps comment-like code inside of strings', () => {
+    assert.deepStrictEqual(getTokens('a { content: "// x"; b: \'/* y\'; }', 'scss'), [
+      'word:a', '{:{', 'word:content', ':::', 'string:"// x"', ';:;', 'word:b', ':::', 'string:\'/* y\'', ';:;', '}:}'
+    ])
+  })
+
+  it('detects single-line and multi-line comments', () => {
+    assert.deepStrictEqual(getTokens('a {} // x { y }\n/* z\n; */ b {}', 'scss'), [
+      'word:a', '{:{', '}:}', 'lineComment:// x { y }', 'comment:/* z\n; */', 'word:b', '{:{', '}:}'
+    ])
+  })
+
+  it('keeps interpolation as single token', () => {
+    assert.deepStrictEqual(getTokens('.a-#{$b + "}"} { c: #{$d}; }', 'scss'), [
+      'word:.a-', 'interpolation:#{$b + "}"}', '{:{', 'word:c', ':::', 'interpolation:#{$d}', ';:;', '}:}'
+    ])
+  })
+
+  it('keeps url() without quotes as single token', () => {
+    assert.deepStrictEqual(getTokens('a { b: url(http://x/a;b{c}.png) no-repeat; }', 'scss'), [
+      'word:a', '{:{', 'word:b', ':::', 'url:url(http://x/a;b{c}.png)', 'word:no-repeat', ';:;', '}:}'
+    ])
+  })
+
+  it('ends multi-line comments by indentation in SASS syntax', () => {
+    assert.deepStrictEqual(getTokens('/* a\n   b\n.c\n  d: e\n', 'sass'), [
+      'comment:/* a\n   b', 'word:.c', 'word:d', ':::', 'word:e'
+    ])
+  })
+})